@@ -0,0 +1,455 @@
+// dice-math.js - Aufteilungen und Wahrscheinlichkeiten der Würfelgruppen
+//
+// Ein Wurf wird in Gruppen aufgeteilt (Standard: zwei Paare aus 4 Würfeln).
+// Liste 1 enthält alle Aufteilungen der Grundwürfel, Liste 2 die
+// Aufteilungen, die erst durch die Zusatzwürfel (Standard: der 5. Würfel)
+// möglich werden. Die Wahrscheinlichkeit einer Aufteilung ist der Anteil
+// aller möglichen Würfe, in denen sie vorkommt. Liste 3 enthält, was erst
+// durch eingesetzte schwarze Würfel der Spieler dazukommt.
+//
+// Welche Würfel und Gruppen gelten, legt das Regelwerk fest:
+//   { diceCount, sides, grouping } - z.B. { diceCount: 5, sides: 6, grouping: 'two-pairs' }
+//
+// Läuft im Browser (window.DiceMath) und in Node (require).
+const DiceMath = (() => {
+  const DIE_SIDES = 6;
+
+  const GROUPINGS = {
+    'two-pairs': { label: 'Zwei Paare', groups: [2, 2] },
+    'pair-triple': { label: 'Paar + Drilling', groups: [2, 3] },
+    'three-pairs': { label: 'Drei Paare', groups: [2, 2, 2] }
+  };
+  const SIDES_OPTIONS = [6, 8, 10];
+  const MAX_EXTRA_DICE = 2;
+  const MAX_BLACK_DICE = 3; // Eingesetzte schwarze Würfel pro Wurf
+  const MAX_OUTCOMES = 100000; // sides^diceCount - Obergrenze für die Tabellen
+
+  const DEFAULT_RULESET = { diceCount: 5, sides: DIE_SIDES, grouping: 'two-pairs' };
+
+  function gcd(a, b) {
+    while (b !== 0) {
+      let temp = b;
+      b = a % b;
+      a = temp;
+    }
+    return a;
+  }
+
+  function simplifyFraction(numerator, denominator) {
+    const divisor = gcd(numerator, denominator);
+    return {
+      num: numerator / divisor,
+      den: denominator / divisor
+    };
+  }
+
+  // Regelwerk
+
+  function groupSizes(ruleset = DEFAULT_RULESET) {
+    return GROUPINGS[ruleset.grouping].groups;
+  }
+
+  // Anzahl der Grundwürfel = Würfel, die für eine Aufteilung gebraucht werden
+  function baseDiceCount(ruleset = DEFAULT_RULESET) {
+    return groupSizes(ruleset).reduce((sum, size) => sum + size, 0);
+  }
+
+  // Fehlermeldung für ein ungültiges Regelwerk, sonst null
+  function getRulesetError(ruleset) {
+    if (!ruleset || typeof ruleset !== 'object') {
+      return 'Regelwerk fehlt';
+    }
+    if (!GROUPINGS[ruleset.grouping]) {
+      return `Unbekannte Gruppierung: ${ruleset.grouping}`;
+    }
+    if (!SIDES_OPTIONS.includes(ruleset.sides)) {
+      return `Würfel mit ${ruleset.sides} Seiten werden nicht unterstützt`;
+    }
+
+    const base = baseDiceCount(ruleset);
+    if (!Number.isInteger(ruleset.diceCount) || ruleset.diceCount < base || ruleset.diceCount > base + MAX_EXTRA_DICE) {
+      return `${GROUPINGS[ruleset.grouping].label} braucht ${base} bis ${base + MAX_EXTRA_DICE} Würfel`;
+    }
+    if (ruleset.sides ** ruleset.diceCount > MAX_OUTCOMES) {
+      return `Zu viele Würfel für W${ruleset.sides}`;
+    }
+    return null;
+  }
+
+  // Nur die bekannten Felder - Fremdes aus Requests fliegt raus
+  function normalizeRuleset(ruleset) {
+    const error = getRulesetError(ruleset);
+    if (error) {
+      throw new Error(error);
+    }
+    return { diceCount: ruleset.diceCount, sides: ruleset.sides, grouping: ruleset.grouping };
+  }
+
+  function rulesetKey(ruleset = DEFAULT_RULESET) {
+    return `${ruleset.diceCount}W${ruleset.sides}:${ruleset.grouping}`;
+  }
+
+  function isValidRoll(values, ruleset = DEFAULT_RULESET) {
+    return Array.isArray(values) &&
+      values.length === ruleset.diceCount &&
+      values.every(value => Number.isInteger(value) && value >= 1 && value <= ruleset.sides);
+  }
+
+  // Zufallswurf nach Regelwerk; `random` liefert Zahlen in [0, 1) wie Math.random
+  function rollValues(ruleset = DEFAULT_RULESET, random = Math.random) {
+    return Array.from({ length: ruleset.diceCount }, () => 1 + Math.floor(random() * ruleset.sides));
+  }
+
+  // Aufteilungen
+
+  // Schlüssel einer Aufteilung: Gruppen sortiert, z.B. "1-3|2-6" oder "1-1|2-4-6"
+  function splitKey(groups) {
+    return groups
+      .map(group => [...group].sort((a, b) => a - b).join('-'))
+      .sort()
+      .join('|');
+  }
+
+  // Alle Kombinationen von `size` Indizes aus `available` (aufsteigend)
+  function combinations(available, size, start = 0, prefix = [], out = []) {
+    if (prefix.length === size) {
+      out.push(prefix.slice());
+      return out;
+    }
+    for (let i = start; i < available.length; i++) {
+      prefix.push(available[i]);
+      combinations(available, size, i + 1, prefix, out);
+      prefix.pop();
+    }
+    return out;
+  }
+
+  // Alle verschiedenen Aufteilungen von `arr` in Gruppen der Größen `sizes`.
+  // `indices` enthält die Würfel-Indizes je Gruppe (ab baseDiceCount = Zusatzwürfel).
+  function getSplits(arr, sizes = GROUPINGS['two-pairs'].groups) {
+    const out = [], seen = new Set();
+
+    function assign(groupIndex, unused, indices) {
+      if (groupIndex === sizes.length) {
+        const groups = indices.map(idx => idx.map(i => arr[i]));
+        const key = splitKey(groups);
+        if (!seen.has(key)) {
+          seen.add(key);
+          out.push({ groups, indices: indices.map(idx => idx.slice()), key });
+        }
+        return;
+      }
+
+      combinations(unused, sizes[groupIndex]).forEach(chosen => {
+        indices.push(chosen);
+        assign(groupIndex + 1, unused.filter(i => !chosen.includes(i)), indices);
+        indices.pop();
+      });
+    }
+
+    if (arr.length >= sizes.reduce((sum, size) => sum + size, 0)) {
+      assign(0, arr.map((_, i) => i), []);
+    }
+    return out;
+  }
+
+  function usesExtraDie(split, ruleset = DEFAULT_RULESET) {
+    const base = baseDiceCount(ruleset);
+    return split.indices.some(group => group.some(i => i >= base));
+  }
+
+  // Liste 1 (nur Grundwürfel) und Liste 2 (zusätzlich durch die Zusatzwürfel)
+  function analyzeRoll(values, ruleset = DEFAULT_RULESET) {
+    const sizes = groupSizes(ruleset);
+    const base = baseDiceCount(ruleset);
+    const list1 = getSplits(values.slice(0, base), sizes);
+    if (values.length <= base) {
+      return { list1, list2: [] };
+    }
+
+    const keys1 = new Set(list1.map(s => s.key));
+    const list2 = getSplits(values, sizes).filter(s => usesExtraDie(s, ruleset) && !keys1.has(s.key));
+    return { list1, list2 };
+  }
+
+  // Liste 3: Aufteilungen, die erst mit den schwarzen Würfeln (`blackValues`,
+  // hinter den Würfeln des Regelwerks) möglich werden. Ohne Wahrscheinlichkeit -
+  // wie viele schwarze Würfel dazukommen, entscheiden die Spieler.
+  function analyzeBlackDice(values, blackValues, ruleset = DEFAULT_RULESET) {
+    if (blackValues.length === 0) return [];
+
+    const { list1, list2 } = analyzeRoll(values, ruleset);
+    const known = new Set(list1.concat(list2).map(s => s.key));
+    return getSplits(values.concat(blackValues), groupSizes(ruleset)).filter(s => !known.has(s.key));
+  }
+
+  // Ruft `callback(values)` für jeden möglichen Wurf aus `count` Würfeln auf
+  function forEachRoll(count, callback, sides = DIE_SIDES, prefix = []) {
+    if (prefix.length === count) {
+      callback(prefix.slice());
+      return;
+    }
+    for (let value = 1; value <= sides; value++) {
+      prefix.push(value);
+      forEachRoll(count, callback, sides, prefix);
+      prefix.pop();
+    }
+  }
+
+  function factorial(n) {
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+  }
+
+  // Wie forEachRoll, aber nur aufsteigend sortierte Würfe; `weight` ist die
+  // Anzahl der Würfe mit denselben Augenzahlen (Reihenfolge egal)
+  function forEachSortedRoll(count, sides, callback, prefix = []) {
+    if (prefix.length === count) {
+      const multiplicities = {};
+      prefix.forEach(value => { multiplicities[value] = (multiplicities[value] || 0) + 1; });
+      const weight = Object.values(multiplicities).reduce((w, m) => w / factorial(m), factorial(count));
+      callback(prefix.slice(), weight);
+      return;
+    }
+    for (let value = prefix.length > 0 ? prefix[prefix.length - 1] : 1; value <= sides; value++) {
+      prefix.push(value);
+      forEachSortedRoll(count, sides, callback, prefix);
+      prefix.pop();
+    }
+  }
+
+  // Schlüssel aller Aufteilungen über alle möglichen Würfe - ein Schlüssel
+  // kommt so oft vor, wie es Würfe mit dieser Aufteilung gibt. Zählt jeden
+  // Wurf einzeln; für die Anzeige getFrequencyTables() verwenden.
+  //   list1: alle Würfe der Grundwürfel
+  //   list2: alle Würfe aller Würfel, nur die zusätzlichen Aufteilungen
+  function calculateAllPossibleSplits(ruleset = DEFAULT_RULESET) {
+    const list1 = [];
+    const list2 = [];
+
+    forEachRoll(baseDiceCount(ruleset), values => {
+      list1.push(...getSplits(values, groupSizes(ruleset)).map(s => s.key));
+    }, ruleset.sides);
+    if (ruleset.diceCount > baseDiceCount(ruleset)) {
+      forEachRoll(ruleset.diceCount, values => {
+        list2.push(...analyzeRoll(values, ruleset).list2.map(s => s.key));
+      }, ruleset.sides);
+    }
+
+    return { list1, list2 };
+  }
+
+  function probabilityFromCount(count, total) {
+    const fraction = simplifyFraction(count, total);
+    const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+
+    return {
+      fraction: fraction,
+      percentage: percentage,
+      count: count,
+      total: total
+    };
+  }
+
+  // Lineare Suche über die Schlüssel-Arrays aus calculateAllPossibleSplits()
+  function calculateProbability(key, allSplits) {
+    return probabilityFromCount(allSplits.filter(k => k === key).length, allSplits.length);
+  }
+
+  // Häufigkeitstabellen { list1, list2 } mit je { counts: { key: Anzahl }, total }
+  // - gleiche Zahlen wie calculateAllPossibleSplits(), aber ohne die großen
+  // Arrays. Die Liste-2-Aufteilungen hängen nur davon ab, welche Augenzahlen
+  // Grund- und Zusatzwürfel zeigen, daher reicht es, sortierte Würfe mit
+  // ihrer Häufigkeit zu zählen. Je Regelwerk einmal berechnet.
+  const frequencyTables = new Map();
+
+  function countKeys(table, splits, weight) {
+    splits.forEach(split => {
+      table.counts[split.key] = (table.counts[split.key] || 0) + weight;
+    });
+    table.total += splits.length * weight;
+  }
+
+  function getFrequencyTables(ruleset = DEFAULT_RULESET) {
+    const cacheKey = rulesetKey(ruleset);
+    if (!frequencyTables.has(cacheKey)) {
+      const sizes = groupSizes(ruleset);
+      const base = baseDiceCount(ruleset);
+      const extra = ruleset.diceCount - base;
+      const list1 = { counts: {}, total: 0 };
+      const list2 = { counts: {}, total: 0 };
+
+      forEachSortedRoll(base, ruleset.sides, (baseValues, baseWeight) => {
+        countKeys(list1, getSplits(baseValues, sizes), baseWeight);
+        if (extra > 0) {
+          forEachSortedRoll(extra, ruleset.sides, (extraValues, extraWeight) => {
+            countKeys(list2, analyzeRoll(baseValues.concat(extraValues), ruleset).list2, baseWeight * extraWeight);
+          });
+        }
+      });
+
+      frequencyTables.set(cacheKey, { list1, list2 });
+    }
+    return frequencyTables.get(cacheKey);
+  }
+
+  // Wahrscheinlichkeit einer Aufteilung in Liste 1 oder 2 ('list1' | 'list2')
+  function getSplitProbability(key, list, ruleset = DEFAULT_RULESET) {
+    const table = getFrequencyTables(ruleset)[list];
+    if (!table) {
+      throw new Error(`Unbekannte Liste: ${list}`);
+    }
+    return probabilityFromCount(table.counts[key] || 0, table.total);
+  }
+
+  // Erwartete Anzahl Aufteilungen pro Wurf { list1, list2 }
+  function expectedSplitCounts(ruleset = DEFAULT_RULESET) {
+    const tables = getFrequencyTables(ruleset);
+    return {
+      list1: tables.list1.total / ruleset.sides ** baseDiceCount(ruleset),
+      list2: tables.list2.total / ruleset.sides ** ruleset.diceCount
+    };
+  }
+
+  // Wahrscheinlichkeit eines Paschs (eine Gruppe mit lauter gleichen Augen)
+  // { base, all }. Jede Gruppierung hat ein Paar, also gibt es einen Pasch
+  // genau dann, wenn zwei der beteiligten Würfel gleich sind.
+  function paschProbability(ruleset = DEFAULT_RULESET) {
+    const allDifferent = count => {
+      let probability = 1;
+      for (let i = 0; i < count; i++) probability *= (ruleset.sides - i) / ruleset.sides;
+      return probability;
+    };
+    return {
+      base: 1 - allDifferent(baseDiceCount(ruleset)),
+      all: 1 - allDifferent(ruleset.diceCount)
+    };
+  }
+
+  // Zielsummen
+
+  // Kleinste und größte Gruppensumme im Regelwerk (Zwei Paare mit W6: 2 bis 12)
+  function groupSumRange(ruleset = DEFAULT_RULESET) {
+    const sizes = groupSizes(ruleset);
+    return { min: Math.min(...sizes), max: Math.max(...sizes) * ruleset.sides };
+  }
+
+  function groupSums(split) {
+    return split.groups.map(group => group.reduce((sum, value) => sum + value, 0));
+  }
+
+  // Trifft eine Gruppe der Aufteilung die Zielsumme?
+  function splitHitsSum(split, target) {
+    return groupSums(split).includes(target);
+  }
+
+  // Summen, die mindestens eine Aufteilung von `values` erreicht
+  function reachableSums(values, sizes) {
+    const sums = new Set();
+    getSplits(values, sizes).forEach(split => groupSums(split).forEach(sum => sums.add(sum)));
+    return sums;
+  }
+
+  // Summentabellen { base, all } mit je { counts: { summe: Anzahl Würfe }, total }
+  //   base: Würfe der Grundwürfel, in denen eine Aufteilung die Summe trifft
+  //   all:  Würfe aller Würfel (Grund- und Zusatzwürfel)
+  // Zählt sortierte Würfe mit ihrer Häufigkeit wie getFrequencyTables().
+  const sumTables = new Map();
+
+  function countSums(table, sums, weight) {
+    sums.forEach(sum => {
+      table.counts[sum] = (table.counts[sum] || 0) + weight;
+    });
+    table.total += weight;
+  }
+
+  function getSumTables(ruleset = DEFAULT_RULESET) {
+    const cacheKey = rulesetKey(ruleset);
+    if (!sumTables.has(cacheKey)) {
+      const sizes = groupSizes(ruleset);
+      const base = baseDiceCount(ruleset);
+      const extra = ruleset.diceCount - base;
+      const baseTable = { counts: {}, total: 0 };
+      const allTable = { counts: {}, total: 0 };
+
+      forEachSortedRoll(base, ruleset.sides, (baseValues, baseWeight) => {
+        const baseSums = reachableSums(baseValues, sizes);
+        countSums(baseTable, baseSums, baseWeight);
+        if (extra === 0) {
+          countSums(allTable, baseSums, baseWeight);
+          return;
+        }
+        forEachSortedRoll(extra, ruleset.sides, (extraValues, extraWeight) => {
+          countSums(allTable, reachableSums(baseValues.concat(extraValues), sizes), baseWeight * extraWeight);
+        });
+      });
+
+      sumTables.set(cacheKey, { base: baseTable, all: allTable });
+    }
+    return sumTables.get(cacheKey);
+  }
+
+  // A-priori-Wahrscheinlichkeit, die Zielsumme bilden zu können:
+  //   base:     nur mit den Grundwürfeln
+  //   all:      mit allen Würfeln
+  //   marginal: Würfe, in denen erst die Zusatzwürfel die Summe möglich machen
+  function getSumProbability(target, ruleset = DEFAULT_RULESET) {
+    const { base, all } = getSumTables(ruleset);
+    const baseCount = base.counts[target] || 0;
+    const allCount = all.counts[target] || 0;
+    // Ein Grundwurf steht für sides^extra Würfe aller Würfel
+    const scale = all.total / base.total;
+
+    return {
+      base: probabilityFromCount(baseCount, base.total),
+      all: probabilityFromCount(allCount, all.total),
+      marginal: probabilityFromCount(allCount - baseCount * scale, all.total)
+    };
+  }
+
+  return {
+    DIE_SIDES,
+    GROUPINGS,
+    SIDES_OPTIONS,
+    MAX_EXTRA_DICE,
+    MAX_BLACK_DICE,
+    DEFAULT_RULESET,
+    gcd,
+    simplifyFraction,
+    groupSizes,
+    baseDiceCount,
+    getRulesetError,
+    normalizeRuleset,
+    rulesetKey,
+    isValidRoll,
+    rollValues,
+    splitKey,
+    getSplits,
+    usesExtraDie,
+    analyzeRoll,
+    analyzeBlackDice,
+    forEachRoll,
+    calculateAllPossibleSplits,
+    calculateProbability,
+    getFrequencyTables,
+    getSplitProbability,
+    expectedSplitCounts,
+    paschProbability,
+    groupSumRange,
+    groupSums,
+    splitHitsSum,
+    getSumTables,
+    getSumProbability
+  };
+})();
+
+// Export für Modul-Systeme
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiceMath;
+}
+
+// Global verfügbar machen für Browser
+if (typeof window !== 'undefined') {
+  window.DiceMath = DiceMath;
+}
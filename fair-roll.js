@@ -0,0 +1,91 @@
+// fair-roll.js - Nachprüfbare Würfelwürfe per Commit-Reveal
+//
+// Ablauf: Der Server erzeugt vor jedem Wurf einen geheimen Seed und
+// veröffentlicht nur dessen SHA-256-Hash. Beim Wurf werden die Werte
+// deterministisch aus Seed (+ optionalem Client-Seed) abgeleitet und der
+// Seed offengelegt. Jeder Client kann dann prüfen, dass der Seed zum vorher
+// veröffentlichten Hash passt und genau diese Werte ergibt.
+//
+// Läuft im Browser (window.FairRoll) und in Node (require).
+const FairRoll = (() => {
+  // Im Browser ist SubtleCrypto nur in sicheren Kontexten (https, localhost) verfügbar
+  const webCrypto = (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle)
+    ? globalThis.crypto
+    : (typeof require === 'function' ? require('crypto').webcrypto : null);
+
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  async function sha256(text) {
+    return webCrypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  }
+
+  function createSeed() {
+    const bytes = new Uint8Array(32);
+    webCrypto.getRandomValues(bytes);
+    return toHex(bytes);
+  }
+
+  async function hashSeed(seed) {
+    return toHex(await sha256(seed));
+  }
+
+  // Neuer Seed samt veröffentlichbarem Hash für den nächsten Wurf
+  async function createCommitment() {
+    const seed = createSeed();
+    return { seed, hash: await hashSeed(seed) };
+  }
+
+  // Würfelwerte aus dem Seed ableiten. Bytes oberhalb des größten
+  // Vielfachen von `sides` werden verworfen, damit jede Augenzahl
+  // gleich wahrscheinlich ist.
+  async function rollFromSeed(seed, count, sides = 6, clientSeed = '') {
+    const material = clientSeed ? `${seed}:${clientSeed}` : seed;
+    const limit = 256 - (256 % sides);
+    const values = [];
+    let counter = 0;
+
+    while (values.length < count) {
+      const digest = new Uint8Array(await sha256(`${material}:${counter++}`));
+      for (const byte of digest) {
+        if (byte >= limit) continue;
+        values.push(1 + (byte % sides));
+        if (values.length === count) break;
+      }
+    }
+    return values;
+  }
+
+  // proof = { seed, hash, clientSeed, sides } wie vom Server gesendet
+  async function verifyRoll(proof, values, expectedHash = null) {
+    if (!webCrypto) return false;
+    if (!proof || !proof.seed || !Array.isArray(values)) return false;
+    if (expectedHash && proof.hash !== expectedHash) return false;
+    if (await hashSeed(proof.seed) !== proof.hash) return false;
+
+    const expected = await rollFromSeed(proof.seed, values.length, proof.sides || 6, proof.clientSeed || '');
+    return expected.every((value, index) => value === values[index]);
+  }
+
+  return {
+    isSupported: !!webCrypto,
+    createSeed,
+    hashSeed,
+    createCommitment,
+    rollFromSeed,
+    verifyRoll
+  };
+})();
+
+// Export für Modul-Systeme
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FairRoll;
+}
+
+// Global verfügbar machen für Browser
+if (typeof window !== 'undefined') {
+  window.FairRoll = FairRoll;
+}
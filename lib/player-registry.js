@@ -0,0 +1,148 @@
+// lib/player-registry.js - Spielerdaten einer Sitzung prüfen und normalisieren
+//
+// Clients schicken per /sync-players die komplette Liste ihrer Spieler. Der
+// Server übernimmt davon nur die bekannten Felder, prüft sie gegen das
+// Dashboard (Lebenspunkte-Leiste, 3 schwarze Würfel, Schatztruhen mit höchstens
+// 2 gewählten Kategorien) und vergibt die Spieler-ids selbst. `clientId` ist
+// die Kennung des Spielers beim Client, damit er die vergebene id zuordnen kann.
+const crypto = require('crypto');
+
+// Lebenspunkte-Leiste des Spieler-Dashboards, von voll bis tot
+const HEALTH_TRACK = [20, 16, 12, 9, 6, 4, 2, 1, 0, 'dead'];
+const BLACK_DICE = 3;
+const TREASURE_SLOTS = { heart: 3, torch: 2, dice: 3 };
+const MAX_TREASURE_CATEGORIES = 2;
+const MAX_PLAYERS_PER_SESSION = 4;
+const MAX_NAME_LENGTH = 40;
+const MAX_ID_LENGTH = 64;
+
+function generatePlayerId() {
+  return 'player_' + crypto.randomBytes(6).toString('hex');
+}
+
+function isFlagList(value, length) {
+  return Array.isArray(value) && value.length === length && value.every(flag => typeof flag === 'boolean');
+}
+
+function isId(value) {
+  return (typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH) || Number.isInteger(value);
+}
+
+function invalid(message) {
+  return { code: 'INVALID_PLAYER', message };
+}
+
+// Fehler eines Spielers ({ code, message }) oder null. Fehlende Felder sind
+// erlaubt und bekommen in normalizePlayer() den Startwert.
+function getPlayerError(player) {
+  if (!player || typeof player !== 'object' || Array.isArray(player)) {
+    return invalid('Spieler muss ein Objekt sein');
+  }
+  if (player.id !== undefined && player.id !== null && !isId(player.id)) {
+    return invalid('id muss eine vom Server vergebene Kennung sein');
+  }
+  if (player.clientId !== undefined && !isId(player.clientId)) {
+    return invalid(`clientId muss eine Zahl oder ein Text bis ${MAX_ID_LENGTH} Zeichen sein`);
+  }
+  if (player.name !== undefined && (typeof player.name !== 'string' || player.name.length > MAX_NAME_LENGTH)) {
+    return invalid(`name muss ein Text bis ${MAX_NAME_LENGTH} Zeichen sein`);
+  }
+  if (player.isActive !== undefined && typeof player.isActive !== 'boolean') {
+    return invalid('isActive muss true oder false sein');
+  }
+  if (player.health !== undefined && !HEALTH_TRACK.includes(player.health)) {
+    return invalid(`health muss ${HEALTH_TRACK.join(', ')} sein`);
+  }
+  if (player.blackDice !== undefined && !isFlagList(player.blackDice, BLACK_DICE)) {
+    return invalid(`blackDice muss ${BLACK_DICE} Häkchen (true/false) haben`);
+  }
+
+  const categories = player.treasureCategories;
+  if (categories !== undefined) {
+    if (!categories || typeof categories !== 'object' ||
+        !Object.keys(TREASURE_SLOTS).every(type => typeof categories[type] === 'boolean')) {
+      return invalid(`treasureCategories braucht ${Object.keys(TREASURE_SLOTS).join(', ')} als true/false`);
+    }
+    if (Object.keys(TREASURE_SLOTS).filter(type => categories[type]).length > MAX_TREASURE_CATEGORIES) {
+      return { code: 'TREASURE_LIMIT', message: `Höchstens ${MAX_TREASURE_CATEGORIES} Schatztruhen-Kategorien` };
+    }
+  }
+
+  const treasure = player.treasure;
+  if (treasure !== undefined) {
+    if (!treasure || typeof treasure !== 'object' ||
+        !Object.entries(TREASURE_SLOTS).every(([type, slots]) => isFlagList(treasure[type], slots))) {
+      return invalid('treasure braucht heart (3), torch (2) und dice (3) Häkchen');
+    }
+    const unchosen = Object.keys(TREASURE_SLOTS)
+      .find(type => treasure[type].includes(true) && !(categories && categories[type]));
+    if (unchosen) {
+      return invalid(`Schätze in "${unchosen}" nur mit gewählter Kategorie`);
+    }
+  }
+
+  if (player.strategy !== undefined && (typeof player.strategy !== 'string' || player.strategy.length > MAX_ID_LENGTH)) {
+    return invalid('strategy muss ein Text sein');
+  }
+  return null;
+}
+
+// Fehler der ganzen Liste einer Sitzung oder null
+function getPlayersError(players) {
+  if (!Array.isArray(players)) {
+    return { code: 'INVALID_REQUEST', message: 'players muss ein Array sein' };
+  }
+  if (players.length > MAX_PLAYERS_PER_SESSION) {
+    return { code: 'PLAYER_LIMIT', message: `Höchstens ${MAX_PLAYERS_PER_SESSION} Spieler pro Gerät` };
+  }
+  for (const [index, player] of players.entries()) {
+    const error = getPlayerError(player);
+    if (error) {
+      return { code: error.code, message: `Spieler ${index + 1}: ${error.message}` };
+    }
+  }
+
+  const ids = players.map(player => player.id).filter(id => id !== undefined && id !== null).map(String);
+  const clientIds = players.map(player => player.clientId).filter(id => id !== undefined).map(String);
+  if (new Set(ids).size !== ids.length || new Set(clientIds).size !== clientIds.length) {
+    return invalid('Jeder Spieler darf nur einmal vorkommen');
+  }
+  return null;
+}
+
+// Nur die bekannten Felder, fehlende mit Startwerten - ohne id, sessionId
+// und isActive, die setzt der Raum
+function normalizePlayer(player) {
+  const normalized = {
+    name: typeof player.name === 'string' ? player.name.trim() : '',
+    health: player.health !== undefined ? player.health : HEALTH_TRACK[0],
+    blackDice: player.blackDice ? player.blackDice.slice() : Array(BLACK_DICE).fill(false),
+    treasure: Object.fromEntries(Object.entries(TREASURE_SLOTS).map(([type, slots]) =>
+      [type, player.treasure ? player.treasure[type].slice() : Array(slots).fill(false)])),
+    treasureCategories: Object.fromEntries(Object.keys(TREASURE_SLOTS).map(type =>
+      [type, Boolean(player.treasureCategories && player.treasureCategories[type])]))
+  };
+  if (player.clientId !== undefined) normalized.clientId = player.clientId;
+  if (player.strategy !== undefined) normalized.strategy = player.strategy;
+  return normalized;
+}
+
+// Eine Stufe auf der Lebenspunkte-Leiste nach unten
+function lowerHealth(health) {
+  if (health === 'dead') return 'dead';
+  const current = health === undefined ? HEALTH_TRACK[0] : Number(health);
+  return HEALTH_TRACK.find(value => value === 'dead' || value < current);
+}
+
+module.exports = {
+  HEALTH_TRACK,
+  BLACK_DICE,
+  TREASURE_SLOTS,
+  MAX_TREASURE_CATEGORIES,
+  MAX_PLAYERS_PER_SESSION,
+  generatePlayerId,
+  getPlayerError,
+  getPlayersError,
+  normalizePlayer,
+  lowerHealth
+};
@@ -0,0 +1,1448 @@
+// lib/room-engine.js - Transportunabhängige Raum- und Spiellogik
+//
+// Wird von der Netlify Function (HTTP/Polling) und vom Socket.IO-Server
+// gemeinsam genutzt, damit beide Backends dieselben Funktionen und
+// Fehlercodes anbieten. Die Engine lädt Räume aus einem Room-Store,
+// verändert sie und meldet neue Nachrichten über das 'message'-Event.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const FairRoll = require('../fair-roll');
+const DiceMath = require('../dice-math');
+const RollStats = require('../roll-stats');
+const TimerState = require('../timer-state');
+const PlayerRegistry = require('./player-registry');
+
+const MAX_ACTIVE_PLAYERS = 4;
+const MAX_MESSAGES = 50;
+const MAX_HISTORY = 200;
+const PARTICIPANT_TIMEOUT_MS = 5 * 60 * 1000;
+const ROOM_TIMEOUT_MS = 60 * 60 * 1000;
+const RESUME_TIMEOUT_MS = 30 * 60 * 1000;
+const TOUCH_INTERVAL_MS = 60 * 1000; // lastSeen höchstens so oft speichern
+const MAX_SAVE_ATTEMPTS = 5; // Versuche, wenn eine andere Instanz dazwischen schreibt
+const DEFAULT_REROLL_BUDGET = 2;
+const MAX_REROLL_BUDGET = 5;
+const BLACK_DIE_ACTIONS = ['add', 'reroll']; // Zusätzlicher Würfel / einen Würfel nachwürfeln
+
+// Was beim Ablauf des automatischen Timers passiert
+//   warn     - nur melden
+//   end-turn - Zug an den nächsten Spieler weitergeben
+//   penalty  - Spieler am Zug verliert eine Stufe Lebenspunkte
+const TIMER_EXPIRY_ACTIONS = ['warn', 'end-turn', 'penalty'];
+
+// Wer würfeln und den Timer steuern darf
+//   anyone        - alle im Raum
+//   host          - nur der Host
+//   active-player - Host und Sitzungen mit einem aktiven Spieler (keine Zuschauer)
+const CONTROL_POLICIES = ['anyone', 'host', 'active-player'];
+
+// Fehlercodes sind Teil der API - Clients werten `code` aus, nicht den Text
+const ERROR_CODES = {
+  INVALID_REQUEST: { statusCode: 400, message: 'Ungültige Anfrage' },
+  SESSION_NOT_FOUND: { statusCode: 403, message: 'Sitzung ist nicht (mehr) im Raum' },
+  SESSION_KICKED: { statusCode: 403, message: 'Vom Host aus dem Raum entfernt' },
+  FORBIDDEN: { statusCode: 403, message: 'Keine Berechtigung für diese Aktion' },
+  NOT_YOUR_TURN: { statusCode: 409, message: 'Ein anderer Spieler ist am Zug' },
+  ROOM_NOT_FOUND: { statusCode: 404, message: 'Raum nicht gefunden' },
+  ENDPOINT_NOT_FOUND: { statusCode: 404, message: 'Endpunkt nicht gefunden' },
+  ROOM_LOCKED: { statusCode: 423, message: 'Raum ist gesperrt' },
+  REROLL_LIMIT: { statusCode: 409, message: 'Keine Nachwürfe mehr übrig' },
+  INVALID_PLAYER: { statusCode: 400, message: 'Ungültige Spielerdaten' },
+  TREASURE_LIMIT: { statusCode: 400, message: 'Zu viele Schatztruhen-Kategorien' },
+  PLAYER_LIMIT: { statusCode: 409, message: 'Zu viele Spieler' },
+  ROOM_CONFLICT: { statusCode: 409, message: 'Raum wurde gleichzeitig geändert, bitte erneut versuchen' },
+  INTERNAL_ERROR: { statusCode: 500, message: 'Interner Serverfehler' }
+};
+
+class RoomError extends Error {
+  constructor(code, message = null) {
+    const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    super(message || definition.message);
+    this.name = 'RoomError';
+    this.code = code;
+    this.statusCode = definition.statusCode;
+  }
+}
+
+// Einheitliche Fehlerantwort für HTTP und Socket-Callbacks
+function toErrorPayload(error) {
+  if (error instanceof RoomError) {
+    return { success: false, code: error.code, error: error.message };
+  }
+  return {
+    success: false,
+    code: 'INTERNAL_ERROR',
+    error: ERROR_CODES.INTERNAL_ERROR.message,
+    message: error.message
+  };
+}
+
+class Room {
+  constructor(id) {
+    this.id = id;
+    this.participants = new Map();
+    this.currentDiceValues = null;
+    this.blackDiceValues = []; // Per schwarzem Würfel hinzugekommene Würfel des aktuellen Wurfs
+    this.ruleset = { ...DiceMath.DEFAULT_RULESET }; // Würfelanzahl, Seiten, Gruppierung (dice-math.js)
+    // Timer (timer-state.js) mit Zeitpunkten in Serverzeit. Die Clients
+    // rechnen die Restzeit selbst aus, mit dem Abstand ihrer Uhr zur Serveruhr
+    this.timerState = TimerState.create();
+    this.players = new Map(); // sessionId -> player data
+    this.departed = new Map(); // sessionId -> { resumeToken, players, departedAt } abgelaufener Sitzungen
+    this.hostSessionId = null; // Ersteller des Raums, übertragbar
+    this.locked = false; // Gesperrt: keine neuen Beitritte
+    this.controlPolicy = 'anyone';
+    this.kicked = new Set(); // Vom Host entfernte Sitzungen
+    this.turn = { order: [], index: 0, number: 1, rerolls: 0 }; // order: Spieler-Keys "sessionId:playerId"
+    this.enforceTurns = false; // Nur die Sitzung am Zug darf würfeln
+    this.autoAdvance = false; // Nach dem Wurf des Spielers am Zug automatisch weiter
+    this.rerollBudget = DEFAULT_REROLL_BUDGET; // Nachwürfe einzelner Würfel pro Wurf und Zug
+    this.autoTimer = false; // Timer startet mit jedem vollen Wurf
+    this.timerDuration = 60; // Dauer des automatischen Timers in Sekunden
+    this.timerExpiry = 'warn'; // Aktion beim Ablauf des automatischen Timers
+    this.rollCommitment = null; // { seed, hash } - der Seed bleibt bis zum Wurf geheim
+    this.history = []; // Alle Würfe (max. 200), älteste zuerst
+    this.rollCount = 0; // Fortlaufende Nummer des letzten Wurfs
+    this.rollStats = null; // Laufende Statistik aller Würfe des Regelwerks (roll-stats.js)
+    this.messages = [];
+    this.seq = 0; // Fortlaufende Nummer der letzten Nachricht in diesem Raum
+    this.outbox = []; // Neue Nachrichten dieses Requests, nicht persistiert
+    this.createdAt = new Date();
+    this.lastActivity = new Date();
+  }
+
+  addParticipant(sessionId, participantInfo, resumeToken) {
+    this.participants.set(sessionId, {
+      sessionId,
+      ...participantInfo,
+      resumeToken,
+      joinedAt: new Date(),
+      lastSeen: new Date()
+    });
+    this.ensureHost();
+    this.lastActivity = new Date();
+  }
+
+  // Ohne Host (verlassen/abgelaufen) übernimmt die am längsten anwesende Sitzung
+  ensureHost() {
+    if (!this.participants.has(this.hostSessionId)) {
+      const next = this.participants.keys().next();
+      this.hostSessionId = next.done ? null : next.value;
+    }
+  }
+
+  isHost(sessionId) {
+    return sessionId === this.hostSessionId;
+  }
+
+  canControl(sessionId) {
+    switch (this.controlPolicy) {
+      case 'host':
+        return this.isHost(sessionId);
+      case 'active-player':
+        return this.isHost(sessionId) ||
+          (this.players.get(sessionId) || []).some(player => player.isActive);
+      default:
+        return true;
+    }
+  }
+
+  // Vom Host entfernen - die Sitzung kann nicht wieder aufgenommen werden.
+  // Mit einer neuen Sitzung beitreten geht trotzdem, das verhindert nur `locked`.
+  kickParticipant(sessionId) {
+    this.removeParticipant(sessionId);
+    this.kicked.add(sessionId);
+  }
+
+  // Bewusstes Verlassen - die Sitzung kann nicht wieder aufgenommen werden
+  removeParticipant(sessionId) {
+    this.participants.delete(sessionId);
+    this.players.delete(sessionId); // Spielerdaten auch entfernen
+    this.departed.delete(sessionId);
+    this.ensureHost();
+    this.syncTurnOrder();
+    this.lastActivity = new Date();
+  }
+
+  // Sitzung nach Reload/Verbindungsabbruch wieder aufnehmen. Auch eine schon
+  // abgelaufene Sitzung bekommt ihre Spieler zurück, solange sie in `departed` liegt.
+  resumeParticipant(sessionId, resumeToken, participantInfo) {
+    if (this.kicked.has(sessionId)) return false;
+
+    const participant = this.participants.get(sessionId);
+    if (participant) {
+      if (!tokensMatch(participant.resumeToken, resumeToken)) return false;
+      Object.assign(participant, participantInfo, { lastSeen: new Date() });
+      this.lastActivity = new Date();
+      return true;
+    }
+
+    const departed = this.departed.get(sessionId);
+    if (!departed || !tokensMatch(departed.resumeToken, resumeToken)) return false;
+
+    this.departed.delete(sessionId);
+    this.addParticipant(sessionId, participantInfo, resumeToken);
+    this.setSessionPlayers(sessionId, departed.players); // prüft das Limit aktiver Spieler erneut
+    return true;
+  }
+
+  hasParticipant(sessionId) {
+    this.getParticipantCount(); // Abgelaufene Sitzungen vorher entfernen
+    return this.participants.has(sessionId);
+  }
+
+  // Die sessionId ist öffentlich (hostSessionId, Teilnehmerliste, Spieler,
+  // fromSession) - erst der resumeToken weist nach, dass der Aufruf von der
+  // Sitzung selbst kommt. Gilt auch für abgelaufene Sitzungen in `departed`.
+  isAuthorized(sessionId, resumeToken) {
+    const session = this.participants.get(sessionId) || this.departed.get(sessionId);
+    return !!session && tokensMatch(session.resumeToken, resumeToken);
+  }
+
+  // Spielerliste einer Sitzung vom Client übernehmen (vorher mit
+  // PlayerRegistry.getPlayersError prüfen). Bekannte Spieler behalten ihre id,
+  // neue bekommen eine vom Server. Erkannt wird ein Spieler an der id; nur
+  // ohne id an der clientId - die lokale Nummer kann der Client neu vergeben.
+  updatePlayerData(sessionId, playersArray) {
+    const previous = this.players.get(sessionId) || [];
+    const players = playersArray.map(data => {
+      const hasId = data.id !== undefined && data.id !== null;
+      const known = previous.find(player => hasId
+        ? String(player.id) === String(data.id)
+        : data.clientId !== undefined && player.clientId === data.clientId);
+      return {
+        ...PlayerRegistry.normalizePlayer(data),
+        id: known ? known.id : PlayerRegistry.generatePlayerId(),
+        isActive: data.isActive !== false
+      };
+    });
+    this.setSessionPlayers(sessionId, players);
+  }
+
+  // Alle Spieler einer Sitzung ersetzen. Aktiv sind über alle Sitzungen
+  // höchstens MAX_ACTIVE_PLAYERS - wer darüber liegt, schaut zu.
+  setSessionPlayers(sessionId, players) {
+    this.players.delete(sessionId);
+    let activeCount = this.getActivePlayerCount();
+    const updated = players.map(player => {
+      const isActive = player.isActive && activeCount < MAX_ACTIVE_PLAYERS;
+      if (isActive) activeCount++;
+      return { ...player, sessionId, isActive, lastUpdated: new Date() };
+    });
+    if (updated.length > 0) {
+      this.players.set(sessionId, updated);
+    }
+
+    this.syncTurnOrder();
+    this.lastActivity = new Date();
+  }
+
+  // Sitzung, der der Spieler gehört, oder null
+  findPlayerSession(playerId) {
+    for (const [sessionId, players] of this.players) {
+      if (players.some(player => String(player.id) === String(playerId))) return sessionId;
+    }
+    return null;
+  }
+
+  // Zugreihenfolge an die aktiven Spieler anpassen: bisherige Reihenfolge
+  // bleibt, Neue kommen hinten dazu, Ausgeschiedene fallen raus. Fällt der
+  // Spieler am Zug weg, ist der nächste dran.
+  syncTurnOrder() {
+    const activeKeys = new Set();
+    for (const [sessionId, players] of this.players) {
+      players.filter(player => player.isActive).forEach(player => activeKeys.add(turnKey(sessionId, player.id)));
+    }
+
+    const { order, index } = this.turn;
+    const removedBefore = order.slice(0, index).filter(key => !activeKeys.has(key)).length;
+    const kept = order.filter(key => activeKeys.has(key));
+    const added = Array.from(activeKeys).filter(key => !order.includes(key));
+    const newOrder = kept.concat(added).slice(0, MAX_ACTIVE_PLAYERS);
+
+    this.turn.order = newOrder;
+    this.turn.index = newOrder.length > 0 ? (index - removedBefore) % newOrder.length : 0;
+  }
+
+  advanceTurn() {
+    if (this.turn.order.length === 0) return;
+    this.turn.index = (this.turn.index + 1) % this.turn.order.length;
+    this.turn.number++;
+    this.turn.rerolls = 0;
+  }
+
+  getCurrentTurnKey() {
+    return this.turn.order[this.turn.index] || null;
+  }
+
+  // Ohne aktive Spieler gibt es keinen Zug - dann ist jede Sitzung "dran"
+  isCurrentTurn(sessionId) {
+    const current = this.getCurrentTurnKey();
+    return !current || parseTurnKey(current).sessionId === sessionId;
+  }
+
+  describeTurnKey(key) {
+    const { sessionId, playerId } = parseTurnKey(key);
+    const player = (this.players.get(sessionId) || []).find(p => String(p.id) === playerId);
+    return { key, sessionId, playerId, name: player ? player.name : null };
+  }
+
+  getTurnState() {
+    const current = this.getCurrentTurnKey();
+    return {
+      order: this.turn.order.map(key => this.describeTurnKey(key)),
+      current: current ? this.describeTurnKey(current) : null,
+      number: this.turn.number,
+      rerolls: this.turn.rerolls || 0 // Verbrauchte Nachwürfe seit dem letzten vollen Wurf
+    };
+  }
+
+  getPlayerData() {
+    // Alle Spieler aus allen Sessions als flache Liste zurückgeben
+    const allPlayers = [];
+    for (const playersArray of this.players.values()) {
+      allPlayers.push(...playersArray);
+    }
+    return allPlayers;
+  }
+
+  getActivePlayerCount() {
+    return this.getPlayerData().filter(p => p.isActive).length;
+  }
+
+  getParticipantCount() {
+    // Entferne inaktive Teilnehmer (älter als 5 Minuten)
+    const cutoff = new Date(Date.now() - PARTICIPANT_TIMEOUT_MS);
+    for (const [sessionId, participant] of this.participants) {
+      if (participant.lastSeen < cutoff) {
+        // Spielerdaten für eine spätere Wiederaufnahme (/resume) aufheben
+        this.departed.set(sessionId, {
+          resumeToken: participant.resumeToken,
+          players: this.players.get(sessionId) || [],
+          departedAt: new Date()
+        });
+        this.participants.delete(sessionId);
+        this.players.delete(sessionId);
+      }
+    }
+
+    this.ensureHost();
+    this.syncTurnOrder();
+
+    const resumeCutoff = new Date(Date.now() - RESUME_TIMEOUT_MS);
+    for (const [sessionId, departed] of this.departed) {
+      if (departed.departedAt < resumeCutoff) {
+        this.departed.delete(sessionId);
+      }
+    }
+    return this.participants.size;
+  }
+
+  // Muss ein lesender Zugriff der Sitzung (poll, touch) doch speichern? Ja,
+  // wenn ein Timer abläuft, Sitzungen verfallen oder ihr lastSeen veraltet ist
+  needsSave(sessionId, now = Date.now()) {
+    const participant = this.participants.get(sessionId);
+    if (participant && participant.lastSeen < new Date(now - TOUCH_INTERVAL_MS)) return true;
+    if (this.isTimerExpiryDue(now)) return true;
+
+    const participantCutoff = new Date(now - PARTICIPANT_TIMEOUT_MS);
+    const resumeCutoff = new Date(now - RESUME_TIMEOUT_MS);
+    return Array.from(this.participants.values()).some(p => p.lastSeen < participantCutoff) ||
+      Array.from(this.departed.values()).some(departed => departed.departedAt < resumeCutoff);
+  }
+
+  updateParticipant(sessionId) {
+    const participant = this.participants.get(sessionId);
+    if (participant) {
+      participant.lastSeen = new Date();
+      this.lastActivity = new Date();
+    }
+  }
+
+  addMessage(message) {
+    this.seq++;
+    const stored = {
+      ...message,
+      seq: this.seq,
+      timestamp: new Date(),
+      id: `${this.id}-${this.seq}`
+    };
+    this.messages.push(stored);
+    this.outbox.push(stored);
+
+    // Behalte nur die letzten 50 Nachrichten
+    if (this.messages.length > MAX_MESSAGES) {
+      this.messages = this.messages.slice(-MAX_MESSAGES);
+    }
+
+    this.lastActivity = new Date();
+    return stored;
+  }
+
+  // Alle Nachrichten nach `afterSeq`. Liegt afterSeq vor der ältesten noch
+  // gespeicherten Nachricht (oder hinter der aktuellen), lässt sich die Lücke
+  // nicht schließen - dann resync: der Client übernimmt den Snapshot komplett.
+  getMessagesAfter(afterSeq) {
+    const oldestSeq = this.messages.length > 0 ? this.messages[0].seq : this.seq + 1;
+    if (!Number.isInteger(afterSeq) || afterSeq < 0 || afterSeq > this.seq || afterSeq < oldestSeq - 1) {
+      return { messages: [], resync: true };
+    }
+    return { messages: this.messages.filter(msg => msg.seq > afterSeq), resync: false };
+  }
+
+  // Hash des nächsten Wurfs - wird vor dem Wurf an alle verteilt
+  async ensureRollCommitment() {
+    if (!this.rollCommitment) {
+      this.rollCommitment = await FairRoll.createCommitment();
+    }
+    return this.rollCommitment.hash;
+  }
+
+  // Serverseitiger Wurf: Werte aus dem zugesagten Seed ableiten,
+  // Seed offenlegen und sofort den nächsten Seed zusagen
+  async rollDice(sessionId, clientSeed = '') {
+    await this.ensureRollCommitment();
+    const { seed, hash } = this.rollCommitment;
+    const { diceCount, sides } = this.ruleset;
+    const values = await FairRoll.rollFromSeed(seed, diceCount, sides, clientSeed);
+
+    this.rollCommitment = await FairRoll.createCommitment();
+
+    const proof = { seed, hash, clientSeed, sides };
+    const roll = this.recordRoll(sessionId, values, false);
+    this.addMessage({
+      type: 'dice-roll',
+      values,
+      manual: false,
+      proof,
+      nextRollHash: this.rollCommitment.hash,
+      roll,
+      fromSession: sessionId
+    });
+
+    return { values, proof, nextRollHash: this.rollCommitment.hash, roll };
+  }
+
+  // Nur die Würfel an `indices` neu würfeln - wie rollDice() aus dem
+  // zugesagten Seed, der Beweis deckt die neuen Werte (`rolled`) in der
+  // Reihenfolge von `indices` ab
+  async rerollDice(sessionId, indices, clientSeed = '') {
+    await this.ensureRollCommitment();
+    const { seed, hash } = this.rollCommitment;
+    const { sides } = this.ruleset;
+    const rolled = await FairRoll.rollFromSeed(seed, indices.length, sides, clientSeed);
+
+    this.rollCommitment = await FairRoll.createCommitment();
+
+    const values = this.currentDiceValues.slice();
+    indices.forEach((die, i) => { values[die] = rolled[i]; });
+
+    const proof = { seed, hash, clientSeed, sides };
+    const roll = this.recordRoll(sessionId, values, false, { rerolled: indices });
+    this.turn.rerolls = (this.turn.rerolls || 0) + 1;
+    this.addMessage({
+      type: 'dice-reroll',
+      values,
+      indices,
+      rolled,
+      proof,
+      nextRollHash: this.rollCommitment.hash,
+      roll,
+      fromSession: sessionId
+    });
+
+    return { values, indices, rolled, proof, nextRollHash: this.rollCommitment.hash, roll };
+  }
+
+  getRerollsLeft() {
+    return Math.max(this.rerollBudget - (this.turn.rerolls || 0), 0);
+  }
+
+  findPlayer(sessionId, playerId) {
+    return (this.players.get(sessionId) || []).find(player => String(player.id) === String(playerId)) || null;
+  }
+
+  // Timer für den nächsten Zug; die Aktion beim Ablauf wird mitgeführt,
+  // damit eine spätere Einstellungsänderung den laufenden Timer nicht ändert
+  startAutoTimer(sessionId) {
+    this.timerState = {
+      ...TimerState.applyAction(this.timerState, 'start', { duration: this.timerDuration }),
+      auto: true,
+      expiry: this.timerExpiry,
+      lastUpdatedBy: sessionId,
+      lastUpdatedAt: new Date()
+    };
+    // Ohne fromSession - auch die würfelnde Sitzung übernimmt die Serverzeit
+    this.addMessage({ type: 'timer-sync', action: 'start', timerState: this.timerState });
+  }
+
+  // Der Server hat keinen eigenen Takt (Netlify) - geprüft wird bei jeder
+  // Anfrage an den Raum, der Express-Server prüft zusätzlich sekündlich
+  isTimerExpiryDue(now = Date.now()) {
+    const timer = this.timerState;
+    return Boolean(timer.auto && timer.isRunning && !timer.expired && TimerState.remainingMs(timer, now) === 0);
+  }
+
+  // Ablauf des automatischen Timers einmal ausführen
+  expireTimer() {
+    const timer = this.timerState;
+    const current = this.getCurrentTurnKey();
+    const player = current ? this.describeTurnKey(current) : null;
+    this.timerState = { ...timer, expired: true };
+
+    if (timer.expiry === 'end-turn' && current) {
+      this.advanceTurn();
+    }
+    if (timer.expiry === 'penalty' && player) {
+      player.health = this.penalizePlayer(player.sessionId, player.playerId);
+    }
+
+    this.addMessage({ type: 'timer-sync', action: 'expire', expiry: timer.expiry, player, timerState: this.timerState });
+    if (player && player.health !== undefined) {
+      this.addMessage({ type: 'players-update', players: this.getPlayerData() });
+    }
+  }
+
+  // Eine Stufe auf der Lebenspunkte-Leiste nach unten; liefert den neuen Wert
+  penalizePlayer(sessionId, playerId) {
+    const player = this.findPlayer(sessionId, playerId);
+    if (!player) return undefined;
+    player.health = PlayerRegistry.lowerHealth(player.health);
+    return player.health;
+  }
+
+  // Einen gehaltenen schwarzen Würfel des Spielers einsetzen: 'add' legt einen
+  // Würfel zum Wurf dazu, 'reroll' würfelt den Würfel an `index` neu. Zählt
+  // nicht gegen rerollBudget; der Beweis deckt den einen neuen Wert ab.
+  async useBlackDie(sessionId, player, action, index, clientSeed = '') {
+    await this.ensureRollCommitment();
+    const { seed, hash } = this.rollCommitment;
+    const { sides } = this.ruleset;
+    const [rolled] = await FairRoll.rollFromSeed(seed, 1, sides, clientSeed);
+
+    this.rollCommitment = await FairRoll.createCommitment();
+
+    const spent = player.blackDice.indexOf(true);
+    player.blackDice = player.blackDice.map((held, i) => held && i !== spent);
+
+    const values = this.currentDiceValues.slice();
+    if (action === 'add') {
+      this.blackDiceValues = this.blackDiceValues.concat(rolled);
+    } else {
+      values[index] = rolled;
+    }
+
+    const proof = { seed, hash, clientSeed, sides };
+    const roll = this.recordRoll(sessionId, values, false, {
+      rerolled: action === 'reroll' ? [index] : [],
+      blackDie: { action, playerId: player.id, playerName: player.name }
+    });
+    const result = {
+      action,
+      index: action === 'reroll' ? index : null,
+      playerId: player.id,
+      values,
+      blackDiceValues: this.blackDiceValues,
+      rolled,
+      proof,
+      nextRollHash: this.rollCommitment.hash,
+      roll
+    };
+    this.addMessage({ type: 'black-die', ...result, fromSession: sessionId });
+    this.addMessage({ type: 'players-update', players: this.getPlayerData(), fromSession: sessionId });
+    return result;
+  }
+
+  // Wurf in den Verlauf schreiben und als aktuellen Wurf setzen. Als Werfer
+  // zählt der Spieler am Zug, sonst die aktiven Spieler der Sitzung.
+  // `details`: { rerolled, blackDie? } bei Nachwürfen und schwarzen Würfeln,
+  // ohne ist es ein voller Wurf - dann beginnen Nachwürfe und schwarze Würfel neu.
+  recordRoll(sessionId, values, manual, details = null) {
+    const current = this.getCurrentTurnKey();
+    const currentTurn = current && this.describeTurnKey(current);
+    const playerName = currentTurn && currentTurn.sessionId === sessionId
+      ? currentTurn.name
+      : (this.players.get(sessionId) || []).filter(player => player.isActive).map(player => player.name).join(', ') || null;
+
+    if (!details) {
+      this.turn.rerolls = 0;
+      this.blackDiceValues = [];
+    }
+
+    // Paar-Aufteilungen mitliefern, damit Clients ohne eigene Rechnung auskommen
+    const { list1, list2 } = DiceMath.analyzeRoll(values, this.ruleset);
+
+    this.rollCount++;
+    const roll = {
+      number: this.rollCount,
+      values,
+      manual,
+      ruleset: this.ruleset,
+      splits: {
+        list1: list1.map(split => split.key),
+        list2: list2.map(split => split.key)
+      },
+      sessionId,
+      playerName,
+      turnNumber: this.turn.number,
+      timestamp: new Date()
+    };
+    if (details) {
+      Object.assign(roll, details);
+    }
+    if (this.blackDiceValues.length > 0) {
+      roll.blackDiceValues = this.blackDiceValues;
+      roll.splits.list3 = DiceMath.analyzeBlackDice(values, this.blackDiceValues, this.ruleset).map(split => split.key);
+    }
+
+    this.currentDiceValues = values;
+    this.rollStats = RollStats.addRoll(this.rollStats, roll);
+    this.history.push(roll);
+    if (this.history.length > MAX_HISTORY) {
+      this.history = this.history.slice(-MAX_HISTORY);
+    }
+    return roll;
+  }
+
+  // Anderes Regelwerk: der aktuelle Wurf und die Statistik passen nicht mehr dazu
+  setRuleset(ruleset) {
+    const normalized = DiceMath.normalizeRuleset(ruleset);
+    if (DiceMath.rulesetKey(normalized) !== DiceMath.rulesetKey(this.ruleset)) {
+      this.ruleset = normalized;
+      this.currentDiceValues = null;
+      this.blackDiceValues = [];
+      this.rollStats = null;
+    }
+  }
+
+  // Gemeinsamer Zustand für Join- und Poll-Antworten
+  getSnapshot() {
+    return {
+      participantCount: this.getParticipantCount(),
+      activePlayerCount: this.getActivePlayerCount(),
+      currentDiceValues: this.currentDiceValues,
+      blackDiceValues: this.blackDiceValues,
+      timerState: this.timerState,
+      players: this.getPlayerData(),
+      nextRollHash: this.rollCommitment ? this.rollCommitment.hash : null,
+      ...this.getSettings(),
+      participants: this.getParticipantList(),
+      turn: this.getTurnState(),
+      seq: this.seq
+    };
+  }
+
+  getSettings() {
+    return {
+      hostSessionId: this.hostSessionId,
+      locked: this.locked,
+      controlPolicy: this.controlPolicy,
+      enforceTurns: this.enforceTurns,
+      autoAdvance: this.autoAdvance,
+      rerollBudget: this.rerollBudget,
+      autoTimer: this.autoTimer,
+      timerDuration: this.timerDuration,
+      timerExpiry: this.timerExpiry,
+      ruleset: this.ruleset
+    };
+  }
+
+  // Öffentliche Teilnehmerliste - ohne Token, IP und User-Agent
+  getParticipantList() {
+    return Array.from(this.participants.values()).map(participant => ({
+      sessionId: participant.sessionId,
+      joinedAt: participant.joinedAt,
+      playerNames: (this.players.get(participant.sessionId) || []).map(player => player.name)
+    }));
+  }
+
+  // Leer erst, wenn auch keine abgelaufene Sitzung mehr wieder aufgenommen werden kann
+  isEmpty() {
+    return this.getParticipantCount() === 0 && this.departed.size === 0;
+  }
+
+  isExpired() {
+    return this.lastActivity < new Date(Date.now() - ROOM_TIMEOUT_MS);
+  }
+
+  // Serialisierung für den Room-Store (Maps -> Arrays, Dates -> ISO-Strings)
+  toJSON() {
+    return {
+      id: this.id,
+      participants: Array.from(this.participants.values()),
+      currentDiceValues: this.currentDiceValues,
+      blackDiceValues: this.blackDiceValues,
+      timerState: this.timerState,
+      players: Array.from(this.players.entries()),
+      departed: Array.from(this.departed.entries()),
+      rollCommitment: this.rollCommitment,
+      hostSessionId: this.hostSessionId,
+      locked: this.locked,
+      controlPolicy: this.controlPolicy,
+      kicked: Array.from(this.kicked),
+      turn: this.turn,
+      enforceTurns: this.enforceTurns,
+      autoAdvance: this.autoAdvance,
+      ruleset: this.ruleset,
+      rerollBudget: this.rerollBudget,
+      autoTimer: this.autoTimer,
+      timerDuration: this.timerDuration,
+      timerExpiry: this.timerExpiry,
+      history: this.history,
+      rollCount: this.rollCount,
+      rollStats: this.rollStats,
+      messages: this.messages,
+      seq: this.seq,
+      createdAt: this.createdAt,
+      lastActivity: this.lastActivity
+    };
+  }
+
+  static fromJSON(data) {
+    const room = new Room(data.id);
+    data.participants.forEach(participant => {
+      room.participants.set(participant.sessionId, {
+        ...participant,
+        joinedAt: new Date(participant.joinedAt),
+        lastSeen: new Date(participant.lastSeen)
+      });
+    });
+    room.currentDiceValues = data.currentDiceValues;
+    room.blackDiceValues = data.blackDiceValues || [];
+    room.ruleset = data.ruleset || room.ruleset;
+    // Gespeicherte Timer vor startedAt liefen mit der Uhr eines Clients
+    room.timerState = data.timerState && 'startedAt' in data.timerState ? data.timerState : room.timerState;
+    room.players = new Map(data.players);
+    (data.departed || []).forEach(([sessionId, departed]) => {
+      room.departed.set(sessionId, { ...departed, departedAt: new Date(departed.departedAt) });
+    });
+    room.rollCommitment = data.rollCommitment || null;
+    room.hostSessionId = data.hostSessionId || null;
+    room.locked = !!data.locked;
+    room.controlPolicy = data.controlPolicy || 'anyone';
+    room.kicked = new Set(data.kicked || []);
+    room.turn = data.turn || room.turn;
+    room.enforceTurns = !!data.enforceTurns;
+    room.autoAdvance = !!data.autoAdvance;
+    room.rerollBudget = data.rerollBudget !== undefined ? data.rerollBudget : DEFAULT_REROLL_BUDGET;
+    room.autoTimer = !!data.autoTimer;
+    room.timerDuration = data.timerDuration || room.timerDuration;
+    room.timerExpiry = data.timerExpiry || room.timerExpiry;
+    room.ensureHost();
+    room.history = data.history || [];
+    room.rollCount = data.rollCount || room.history.length;
+    room.rollStats = data.rollStats || null;
+    room.messages = data.messages;
+    room.seq = data.seq || 0;
+    room.createdAt = new Date(data.createdAt);
+    room.lastActivity = new Date(data.lastActivity);
+    return room;
+  }
+}
+
+// Hilfsfunktionen
+function generateRoomId() {
+  return Math.random().toString(36).substring(2, 8).toUpperCase();
+}
+
+function generateSessionId() {
+  return 'session_' + Math.random().toString(36).substring(2, 15);
+}
+
+// Die sessionId ist für alle im Raum sichtbar (Spielerdaten) - zum
+// Wiederaufnehmen braucht es zusätzlich dieses nur dem Client bekannte Token
+function generateResumeToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function turnKey(sessionId, playerId) {
+  return `${sessionId}:${playerId}`;
+}
+
+function parseTurnKey(key) {
+  const separator = key.indexOf(':');
+  return { sessionId: key.slice(0, separator), playerId: key.slice(separator + 1) };
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string' || expected.length !== actual.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+function normalizeRoomId(roomId) {
+  return typeof roomId === 'string' ? roomId.trim().toUpperCase() : null;
+}
+
+class RoomEngine extends EventEmitter {
+  constructor({ store }) {
+    super();
+    this.store = store;
+    this.locks = new Map(); // roomId -> Promise der letzten Operation
+  }
+
+  async loadRoom(roomId) {
+    const id = normalizeRoomId(roomId);
+    if (!id) return null;
+    const data = await this.store.get(id);
+    return data ? Room.fromJSON(data) : null;
+  }
+
+  // Operationen auf denselben Raum innerhalb dieser Instanz nacheinander
+  // ausführen; gegen andere Instanzen schützt erst das bedingte Speichern
+  // in withRoom
+  lock(roomId, task) {
+    const previous = this.locks.get(roomId) || Promise.resolve();
+    const current = previous.then(task);
+    const tail = current.catch(() => {});
+    this.locks.set(roomId, tail);
+    tail.then(() => {
+      if (this.locks.get(roomId) === tail) {
+        this.locks.delete(roomId);
+      }
+    });
+    return current;
+  }
+
+  // Laden, ändern, speichern. Hat eine andere Instanz den Raum dazwischen
+  // geschrieben, schlägt das Speichern fehl und alles läuft mit dem neuen
+  // Stand noch einmal - `task` darf deshalb nur den Raum verändern.
+  async withRoom(roomId, task) {
+    const id = normalizeRoomId(roomId);
+    return this.lock(id, async () => {
+      for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+        const entry = id ? await this.store.getEntry(id) : null;
+        if (!entry) {
+          throw new RoomError('ROOM_NOT_FOUND');
+        }
+        const room = Room.fromJSON(entry.data);
+        const { saved, result } = await this.applyTask(room, entry.version, task);
+        if (saved) {
+          this.flushMessages(room);
+          return result;
+        }
+      }
+      throw new RoomError('ROOM_CONFLICT');
+    });
+  }
+
+  // Ein Durchlauf von withRoom; saved: false, wenn der Raum nicht mehr `version` hat
+  async applyTask(room, version, task) {
+    const turnBefore = JSON.stringify(room.turn);
+    if (room.isTimerExpiryDue()) {
+      room.expireTimer();
+    }
+    const result = await task(room);
+
+    // Zugwechsel (Zug beendet, Spieler weg, neuer Spieler ...) an alle melden -
+    // ohne fromSession, damit auch die auslösende Sitzung ihn bekommt
+    if (JSON.stringify(room.turn) !== turnBefore) {
+      room.addMessage({ type: 'turn-update', turn: room.getTurnState() });
+    }
+
+    if (room.isEmpty()) {
+      await this.store.delete(room.id);
+      return { saved: true, result };
+    }
+    return { saved: await this.store.set(room.id, room.toJSON(), { ifVersion: version }), result };
+  }
+
+  // Wie withRoom, aber nur für Sitzungen, die im Raum sind
+  async withParticipant(roomId, sessionId, task) {
+    return this.withRoom(roomId, async room => {
+      this.assertParticipant(room, sessionId);
+      room.updateParticipant(sessionId);
+      return task(room);
+    });
+  }
+
+  // Lesender Zugriff einer Sitzung (poll, touch): schreibt nur, wenn sich
+  // dabei etwas ändert (Room#needsSave). Sonst bleibt der Store unberührt -
+  // `task` darf den Raum hier nicht verändern.
+  async readAsParticipant(roomId, sessionId, task) {
+    const room = await this.loadRoom(roomId);
+    if (!room) {
+      throw new RoomError('ROOM_NOT_FOUND');
+    }
+    if (room.needsSave(sessionId)) {
+      return this.withParticipant(roomId, sessionId, task);
+    }
+    this.assertParticipant(room, sessionId);
+    return task(room);
+  }
+
+  assertParticipant(room, sessionId) {
+    if (room.kicked.has(sessionId)) {
+      throw new RoomError('SESSION_KICKED');
+    }
+    if (!room.hasParticipant(sessionId)) {
+      throw new RoomError('SESSION_NOT_FOUND');
+    }
+  }
+
+  flushMessages(room) {
+    const messages = room.outbox;
+    room.outbox = [];
+    messages.forEach(message => this.emit('message', room.id, message));
+  }
+
+  announceParticipants(room, sessionId) {
+    room.addMessage({
+      type: 'participants-update',
+      participantCount: room.getParticipantCount(),
+      activePlayerCount: room.getActivePlayerCount(),
+      participants: room.getParticipantList(),
+      hostSessionId: room.hostSessionId,
+      fromSession: sessionId
+    });
+  }
+
+  announceSettings(room, sessionId) {
+    room.addMessage({
+      type: 'room-settings',
+      ...room.getSettings(),
+      fromSession: sessionId
+    });
+  }
+
+  // Wie withParticipant, aber nur mit dem resumeToken der Sitzung
+  async withSession(roomId, sessionId, resumeToken, task) {
+    return this.withParticipant(roomId, sessionId, async room => {
+      if (!room.isAuthorized(sessionId, resumeToken)) {
+        throw new RoomError('FORBIDDEN', 'resumeToken fehlt oder passt nicht zur Sitzung');
+      }
+      return task(room);
+    });
+  }
+
+  // Wie withSession, aber nur für den Host
+  async withHost(roomId, sessionId, resumeToken, task) {
+    return this.withSession(roomId, sessionId, resumeToken, async room => {
+      if (!room.isHost(sessionId)) {
+        throw new RoomError('FORBIDDEN', 'Nur der Host darf das');
+      }
+      return task(room);
+    });
+  }
+
+  // Bei erzwungener Zugreihenfolge würfelt nur die Sitzung am Zug
+  assertTurn(room, sessionId) {
+    if (room.enforceTurns && !room.isCurrentTurn(sessionId)) {
+      throw new RoomError('NOT_YOUR_TURN');
+    }
+  }
+
+  // Nach einem vollen Wurf startet ggf. der Timer; nach dem Wurf des
+  // Spielers am Zug ist automatisch der nächste dran
+  afterRoll(room, sessionId) {
+    if (room.autoTimer) {
+      room.startAutoTimer(sessionId);
+    }
+    if (room.autoAdvance && room.getCurrentTurnKey() && room.isCurrentTurn(sessionId)) {
+      room.advanceTurn();
+    }
+  }
+
+  // Würfeln und Timer je nach controlPolicy des Raums
+  assertControl(room, sessionId) {
+    if (!room.canControl(sessionId)) {
+      throw new RoomError('FORBIDDEN', room.controlPolicy === 'host'
+        ? 'Würfeln und Timer sind in diesem Raum dem Host vorbehalten'
+        : 'Würfeln und Timer sind in diesem Raum aktiven Spielern vorbehalten');
+    }
+  }
+
+  async health() {
+    return {
+      status: 'healthy',
+      rooms: (await this.store.list()).length,
+      timestamp: new Date().toISOString(),
+      serverTime: Date.now() // Für den Uhrenabgleich der Clients
+    };
+  }
+
+  // options.ruleset: Regelwerk des Erstellers, sonst der Standard
+  async createRoom(participantInfo = {}, options = {}) {
+    const rulesetError = options.ruleset !== undefined && DiceMath.getRulesetError(options.ruleset);
+    if (rulesetError) {
+      throw new RoomError('INVALID_REQUEST', rulesetError);
+    }
+
+    const sessionId = generateSessionId();
+    const resumeToken = generateResumeToken();
+    let room;
+    let nextRollHash;
+    do {
+      room = new Room(generateRoomId());
+      room.addParticipant(sessionId, participantInfo, resumeToken);
+      if (options.ruleset !== undefined) {
+        room.setRuleset(options.ruleset);
+      }
+      nextRollHash = await room.ensureRollCommitment();
+    } while (!await this.store.set(room.id, room.toJSON(), { ifVersion: null })); // ID schon vergeben
+
+    return {
+      roomId: room.id,
+      sessionId,
+      resumeToken,
+      participantCount: room.getParticipantCount(),
+      activePlayerCount: room.getActivePlayerCount(),
+      nextRollHash,
+      ...room.getSettings(),
+      participants: room.getParticipantList(),
+      turn: room.getTurnState(),
+      seq: room.seq
+    };
+  }
+
+  async joinRoom(roomId, participantInfo = {}) {
+    return this.withRoom(roomId, async room => {
+      if (room.locked) {
+        throw new RoomError('ROOM_LOCKED', 'Der Host hat den Raum für neue Teilnehmer gesperrt');
+      }
+
+      const sessionId = generateSessionId();
+      const resumeToken = generateResumeToken();
+      room.addParticipant(sessionId, participantInfo, resumeToken);
+      await room.ensureRollCommitment();
+      this.announceParticipants(room, sessionId);
+
+      return {
+        roomId: room.id,
+        sessionId,
+        resumeToken,
+        ...room.getSnapshot()
+      };
+    });
+  }
+
+  // Bestehende Sitzung nach Reload oder Verbindungsabbruch wieder aufnehmen
+  async resumeRoom(roomId, sessionId, resumeToken, participantInfo = {}) {
+    return this.withRoom(roomId, async room => {
+      if (!room.resumeParticipant(sessionId, resumeToken, participantInfo)) {
+        throw new RoomError('SESSION_NOT_FOUND', 'Sitzung kann nicht wieder aufgenommen werden');
+      }
+      await room.ensureRollCommitment();
+
+      room.addMessage({
+        type: 'players-update',
+        players: room.getPlayerData(),
+        fromSession: sessionId
+      });
+      this.announceParticipants(room, sessionId);
+
+      return {
+        roomId: room.id,
+        sessionId,
+        resumeToken,
+        ...room.getSnapshot()
+      };
+    });
+  }
+
+  async leaveRoom(roomId, sessionId, resumeToken) {
+    try {
+      await this.withRoom(roomId, async room => {
+        if (!room.participants.has(sessionId) && !room.departed.has(sessionId)) {
+          return; // Sitzung ist schon weg
+        }
+        if (!room.isAuthorized(sessionId, resumeToken)) {
+          throw new RoomError('FORBIDDEN', 'resumeToken fehlt oder passt nicht zur Sitzung');
+        }
+        room.removeParticipant(sessionId);
+
+        // Benachrichtigung über entfernte Spieler
+        room.addMessage({
+          type: 'players-update',
+          players: room.getPlayerData(),
+          fromSession: sessionId
+        });
+        this.announceParticipants(room, sessionId);
+      });
+    } catch (error) {
+      // Verlassen eines nicht (mehr) existierenden Raums ist kein Fehler
+      if (error.code !== 'ROOM_NOT_FOUND') throw error;
+    }
+    return {};
+  }
+
+  // Sitzung als aktiv markieren (z.B. Heartbeat offener Sockets) - gespeichert
+  // wird nur, wenn lastSeen älter als TOUCH_INTERVAL_MS ist
+  async touch(roomId, sessionId) {
+    return this.readAsParticipant(roomId, sessionId, async () => ({}));
+  }
+
+  // players: alle Spieler der Sitzung (lib/player-registry.js). Die ids
+  // vergibt der Server; Spieler anderer Sitzungen sind tabu.
+  async syncPlayers(roomId, sessionId, resumeToken, players) {
+    const error = PlayerRegistry.getPlayersError(players);
+    if (error) {
+      throw new RoomError(error.code, error.message);
+    }
+
+    return this.withSession(roomId, sessionId, resumeToken, async room => {
+      const foreign = players.find(player => player.id !== undefined && player.id !== null &&
+        ![null, sessionId].includes(room.findPlayerSession(player.id)));
+      if (foreign) {
+        throw new RoomError('FORBIDDEN', 'Der Spieler gehört zu einer anderen Sitzung');
+      }
+
+      // Spielerdaten für diese Session komplett aktualisieren
+      room.updatePlayerData(sessionId, players);
+
+      room.addMessage({
+        type: 'players-update',
+        players: room.getPlayerData(), // Alle Spieler aller Sessions
+        fromSession: sessionId
+      });
+
+      return {
+        participantCount: room.getParticipantCount(),
+        activePlayerCount: room.getActivePlayerCount(),
+        players: room.getPlayerData()
+      };
+    });
+  }
+
+  async roll(roomId, sessionId, resumeToken, clientSeed = '') {
+    const seed = typeof clientSeed === 'string' ? clientSeed.slice(0, 64) : '';
+    return this.withSession(roomId, sessionId, resumeToken, async room => {
+      this.assertControl(room, sessionId);
+      this.assertTurn(room, sessionId);
+      const result = await room.rollDice(sessionId, seed);
+      this.afterRoll(room, sessionId);
+      return {
+        ...result,
+        participantCount: room.getParticipantCount(),
+        turn: room.getTurnState()
+      };
+    });
+  }
+
+  // Einzelne Würfel des aktuellen Wurfs nachwürfeln, höchstens
+  // rerollBudget-mal pro Wurf und Zug. Der Zug geht dabei nicht weiter.
+  async reroll(roomId, sessionId, resumeToken, indices, clientSeed = '') {
+    const seed = typeof clientSeed === 'string' ? clientSeed.slice(0, 64) : '';
+    if (!Array.isArray(indices) || indices.length === 0 ||
+        !indices.every(Number.isInteger) || new Set(indices).size !== indices.length) {
+      throw new RoomError('INVALID_REQUEST', 'indices muss eine Liste verschiedener Würfelnummern sein');
+    }
+
+    return this.withSession(roomId, sessionId, resumeToken, async room => {
+      const { diceCount } = room.ruleset;
+      if (indices.some(die => die < 0 || die >= diceCount)) {
+        throw new RoomError('INVALID_REQUEST', `Würfelnummern von 0 bis ${diceCount - 1} erwartet`);
+      }
+      if (!room.currentDiceValues) {
+        throw new RoomError('INVALID_REQUEST', 'Noch kein Wurf zum Nachwürfeln');
+      }
+      this.assertControl(room, sessionId);
+      this.assertTurn(room, sessionId);
+      if (room.getRerollsLeft() === 0) {
+        throw new RoomError('REROLL_LIMIT', room.rerollBudget === 0
+          ? 'Nachwürfeln ist in diesem Raum abgeschaltet'
+          : `Höchstens ${room.rerollBudget} ${room.rerollBudget === 1 ? 'Nachwurf' : 'Nachwürfe'} pro Wurf`);
+      }
+      const result = await room.rerollDice(sessionId, indices, seed);
+      return {
+        ...result,
+        participantCount: room.getParticipantCount(),
+        turn: room.getTurnState()
+      };
+    });
+  }
+
+  // Schwarzen Würfel eines eigenen Spielers einsetzen (siehe Room.useBlackDie)
+  async useBlackDie(roomId, sessionId, resumeToken, playerId, action, index = null, clientSeed = '') {
+    const seed = typeof clientSeed === 'string' ? clientSeed.slice(0, 64) : '';
+    if (!BLACK_DIE_ACTIONS.includes(action)) {
+      throw new RoomError('INVALID_REQUEST', `action muss ${BLACK_DIE_ACTIONS.join(' oder ')} sein`);
+    }
+
+    return this.withSession(roomId, sessionId, resumeToken, async room => {
+      const player = room.findPlayer(sessionId, playerId);
+      if (!player) {
+        throw new RoomError('INVALID_REQUEST', 'Spieler gehört nicht zu dieser Sitzung');
+      }
+      if (!room.currentDiceValues) {
+        throw new RoomError('INVALID_REQUEST', 'Noch kein Wurf für einen schwarzen Würfel');
+      }
+      if (action === 'reroll' && !(Number.isInteger(index) && index >= 0 && index < room.ruleset.diceCount)) {
+        throw new RoomError('INVALID_REQUEST', `Würfelnummer von 0 bis ${room.ruleset.diceCount - 1} erwartet`);
+      }
+      if (action === 'add' && room.blackDiceValues.length >= DiceMath.MAX_BLACK_DICE) {
+        throw new RoomError('INVALID_REQUEST', `Höchstens ${DiceMath.MAX_BLACK_DICE} schwarze Würfel pro Wurf`);
+      }
+      if (!Array.isArray(player.blackDice) || !player.blackDice.includes(true)) {
+        throw new RoomError('INVALID_REQUEST', `${player.name || 'Spieler'} hat keinen schwarzen Würfel mehr`);
+      }
+      this.assertControl(room, sessionId);
+      this.assertTurn(room, sessionId);
+
+      const result = await room.useBlackDie(sessionId, player, action, index, seed);
+      return {
+        ...result,
+        participantCount: room.getParticipantCount(),
+        players: room.getPlayerData(),
+        turn: room.getTurnState()
+      };
+    });
+  }
+
+  // Manuell eingestellte Würfel (Tisch-Würfel) - werden als manuell markiert
+  async syncDice(roomId, sessionId, resumeToken, diceValues) {
+    return this.withSession(roomId, sessionId, resumeToken, async room => {
+      const { diceCount, sides } = room.ruleset;
+      if (!DiceMath.isValidRoll(diceValues, room.ruleset)) {
+        throw new RoomError('INVALID_REQUEST', `Es werden ${diceCount} Würfelwerte von 1 bis ${sides} erwartet`);
+      }
+      this.assertControl(room, sessionId);
+      this.assertTurn(room, sessionId);
+      const roll = room.recordRoll(sessionId, diceValues, true);
+      room.addMessage({
+        type: 'dice-roll',
+        values: diceValues,
+        manual: true,
+        roll,
+        fromSession: sessionId
+      });
+      this.afterRoll(room, sessionId);
+      return { participantCount: room.getParticipantCount(), roll, turn: room.getTurnState() };
+    });
+  }
+
+  // timerState: { action, duration?, seconds? } mit den Aktionen aus
+  // timer-state.js; ohne action wie bisher { isRunning, duration } (start/stop).
+  // Die Zeitpunkte setzt der Server, damit alle Clients denselben Bezug haben
+  async syncTimer(roomId, sessionId, resumeToken, timerState) {
+    if (!timerState || typeof timerState !== 'object') {
+      throw new RoomError('INVALID_REQUEST', 'timerState fehlt');
+    }
+    const action = timerState.action || (timerState.isRunning ? 'start' : 'stop');
+    const options = { duration: timerState.duration, seconds: timerState.seconds };
+
+    return this.withSession(roomId, sessionId, resumeToken, async room => {
+      this.assertControl(room, sessionId);
+      const now = Date.now();
+      const error = TimerState.getActionError(room.timerState, action, options, now);
+      if (error) {
+        throw new RoomError('INVALID_REQUEST', error);
+      }
+
+      room.timerState = {
+        ...TimerState.applyAction(room.timerState, action, options, now),
+        lastUpdatedBy: sessionId,
+        lastUpdatedAt: new Date()
+      };
+
+      room.addMessage({
+        type: 'timer-sync',
+        action,
+        timerState: room.timerState,
+        fromSession: sessionId
+      });
+      return { participantCount: room.getParticipantCount(), timerState: room.timerState };
+    });
+  }
+
+  // Nachrichten nach `afterSeq` plus aktueller Raumzustand; `seq` ist der
+  // Wert für den nächsten Aufruf. Bei resync: true ist der Snapshot maßgeblich.
+  async poll(roomId, sessionId, afterSeq) {
+    const seq = afterSeq === undefined || afterSeq === null ? afterSeq : Number(afterSeq);
+
+    return this.readAsParticipant(roomId, sessionId, async room => {
+      const { messages, resync } = room.getMessagesAfter(seq);
+      return {
+        // Eigene Nachrichten herausfiltern
+        messages: messages.filter(msg => msg.fromSession !== sessionId),
+        resync,
+        ...room.getSnapshot(),
+        timestamp: new Date().toISOString()
+      };
+    });
+  }
+
+  // Nur die aktuelle Sequenznummer - für Warteschleifen (collectStream), die
+  // auf neue Nachrichten warten, ohne jedes Mal den Raumzustand aufzubauen
+  async getSeq(roomId) {
+    const room = await this.loadRoom(roomId);
+    if (!room) {
+      throw new RoomError('ROOM_NOT_FOUND');
+    }
+    return room.seq;
+  }
+
+  // Zug beenden - durch die Sitzung am Zug oder den Host
+  async endTurn(roomId, sessionId, resumeToken) {
+    return this.withSession(roomId, sessionId, resumeToken, async room => {
+      if (!room.getCurrentTurnKey()) {
+        throw new RoomError('INVALID_REQUEST', 'Keine aktiven Spieler in der Zugreihenfolge');
+      }
+      if (!room.isCurrentTurn(sessionId) && !room.isHost(sessionId)) {
+        throw new RoomError('NOT_YOUR_TURN', 'Nur der Spieler am Zug oder der Host kann den Zug beenden');
+      }
+      room.advanceTurn();
+      return { turn: room.getTurnState() };
+    });
+  }
+
+  async transferHost(roomId, sessionId, resumeToken, targetSessionId) {
+    return this.withHost(roomId, sessionId, resumeToken, async room => {
+      if (!room.hasParticipant(targetSessionId)) {
+        throw new RoomError('INVALID_REQUEST', 'Zielsitzung ist nicht im Raum');
+      }
+      room.hostSessionId = targetSessionId;
+      this.announceSettings(room, sessionId);
+      return room.getSettings();
+    });
+  }
+
+  async kickSession(roomId, sessionId, resumeToken, targetSessionId) {
+    return this.withHost(roomId, sessionId, resumeToken, async room => {
+      if (targetSessionId === sessionId || !room.hasParticipant(targetSessionId)) {
+        throw new RoomError('INVALID_REQUEST', 'Zielsitzung ist nicht im Raum');
+      }
+      room.kickParticipant(targetSessionId);
+
+      room.addMessage({
+        type: 'session-kicked',
+        targetSession: targetSessionId,
+        fromSession: sessionId
+      });
+      room.addMessage({
+        type: 'players-update',
+        players: room.getPlayerData(),
+        fromSession: sessionId
+      });
+      this.announceParticipants(room, sessionId);
+      return { participantCount: room.getParticipantCount() };
+    });
+  }
+
+  // settings: { locked?, controlPolicy?, enforceTurns?, autoAdvance?, rerollBudget?,
+  //             autoTimer?, timerDuration?, timerExpiry?, ruleset? }
+  async updateSettings(roomId, sessionId, resumeToken, settings = {}) {
+    if (!settings || typeof settings !== 'object') {
+      throw new RoomError('INVALID_REQUEST', 'settings fehlt');
+    }
+    if (settings.controlPolicy !== undefined && !CONTROL_POLICIES.includes(settings.controlPolicy)) {
+      throw new RoomError('INVALID_REQUEST', `controlPolicy muss ${CONTROL_POLICIES.join(', ')} sein`);
+    }
+    if (settings.rerollBudget !== undefined && !(Number.isInteger(settings.rerollBudget) &&
+        settings.rerollBudget >= 0 && settings.rerollBudget <= MAX_REROLL_BUDGET)) {
+      throw new RoomError('INVALID_REQUEST', `rerollBudget muss eine ganze Zahl von 0 bis ${MAX_REROLL_BUDGET} sein`);
+    }
+    if (settings.timerDuration !== undefined && !(Number.isInteger(settings.timerDuration) &&
+        settings.timerDuration > 0 && settings.timerDuration <= TimerState.MAX_SECONDS)) {
+      throw new RoomError('INVALID_REQUEST', `timerDuration muss eine ganze Zahl von 1 bis ${TimerState.MAX_SECONDS} Sekunden sein`);
+    }
+    if (settings.timerExpiry !== undefined && !TIMER_EXPIRY_ACTIONS.includes(settings.timerExpiry)) {
+      throw new RoomError('INVALID_REQUEST', `timerExpiry muss ${TIMER_EXPIRY_ACTIONS.join(', ')} sein`);
+    }
+    const rulesetError = settings.ruleset !== undefined && DiceMath.getRulesetError(settings.ruleset);
+    if (rulesetError) {
+      throw new RoomError('INVALID_REQUEST', rulesetError);
+    }
+
+    return this.withHost(roomId, sessionId, resumeToken, async room => {
+      if (settings.locked !== undefined) {
+        room.locked = !!settings.locked;
+      }
+      if (settings.controlPolicy !== undefined) {
+        room.controlPolicy = settings.controlPolicy;
+      }
+      if (settings.enforceTurns !== undefined) {
+        room.enforceTurns = !!settings.enforceTurns;
+      }
+      if (settings.autoAdvance !== undefined) {
+        room.autoAdvance = !!settings.autoAdvance;
+      }
+      if (settings.rerollBudget !== undefined) {
+        room.rerollBudget = settings.rerollBudget;
+      }
+      if (settings.autoTimer !== undefined) {
+        room.autoTimer = !!settings.autoTimer;
+      }
+      if (settings.timerDuration !== undefined) {
+        room.timerDuration = settings.timerDuration;
+      }
+      if (settings.timerExpiry !== undefined) {
+        room.timerExpiry = settings.timerExpiry;
+      }
+      if (settings.ruleset !== undefined) {
+        room.setRuleset(settings.ruleset);
+      }
+      this.announceSettings(room, sessionId);
+      return room.getSettings();
+    });
+  }
+
+  async getRoomInfo(roomId) {
+    const room = await this.loadRoom(roomId);
+    if (!room) {
+      throw new RoomError('ROOM_NOT_FOUND');
+    }
+
+    return {
+      id: room.id,
+      participantCount: room.getParticipantCount(),
+      activePlayerCount: room.getActivePlayerCount(),
+      timerState: room.timerState,
+      players: room.getPlayerData(),
+      createdAt: room.createdAt,
+      lastActivity: room.lastActivity
+    };
+  }
+
+  // Wurf-Verlauf - öffentlich wie die Raum-Info, damit ihn jeder am Tisch nachschlagen kann
+  async getRoomHistory(roomId) {
+    const room = await this.loadRoom(roomId);
+    if (!room) {
+      throw new RoomError('ROOM_NOT_FOUND');
+    }
+
+    return {
+      id: room.id,
+      history: room.history,
+      rollCount: room.rollCount,
+      stats: room.rollStats
+    };
+  }
+
+  // Abgelaufene automatische Timer auslösen, ohne auf die nächste Anfrage zu
+  // warten. Geladen wird erst ohne Sperre, gespeichert nur bei Ablauf.
+  async checkTimers() {
+    for (const roomId of await this.store.list()) {
+      const room = await this.loadRoom(roomId);
+      if (room && room.isTimerExpiryDue()) {
+        await this.withRoom(roomId, async () => {});
+      }
+    }
+  }
+
+  async cleanup() {
+    for (const roomId of await this.store.list()) {
+      await this.lock(roomId, async () => {
+        const room = await this.loadRoom(roomId);
+        if (!room || room.isEmpty() || room.isExpired()) {
+          await this.store.delete(roomId);
+          console.log(`Cleaned up room: ${roomId}`);
+        }
+      });
+    }
+  }
+}
+
+module.exports = {
+  Room,
+  RoomEngine,
+  RoomError,
+  ERROR_CODES,
+  MAX_ACTIVE_PLAYERS,
+  MAX_REROLL_BUDGET,
+  BLACK_DIE_ACTIONS,
+  TIMER_EXPIRY_ACTIONS,
+  CONTROL_POLICIES,
+  toErrorPayload
+};
@@ -0,0 +1,257 @@
+// lib/room-store.js - Austauschbare Speicher-Backends für Raumdaten
+//
+// Räume werden als serialisierte Objekte (siehe Room#toJSON) abgelegt, damit
+// sie Kaltstarts und Requests auf anderen Function-Instanzen überleben.
+// Alle Stores haben dieselbe asynchrone Schnittstelle: get/getEntry/set/delete/list.
+//
+// Mehrere Instanzen können denselben Raum gleichzeitig ändern. getEntry liefert
+// deshalb zu den Daten eine `version`; set(roomId, data, { ifVersion }) schreibt
+// nur, wenn der Raum noch diese Version hat (ifVersion: null = nur wenn neu),
+// und gibt false zurück, wenn ihn inzwischen jemand anders geschrieben hat.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOM_ID_PATTERN = /^[A-Z0-9]{1,32}$/;
+
+function isValidRoomId(roomId) {
+  return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+}
+
+// Raum-IDs landen in Dateinamen/Keys - nur A-Z und 0-9 zulassen
+function assertValidRoomId(roomId) {
+  if (!isValidRoomId(roomId)) {
+    throw new Error(`Ungültige Raum-ID: ${roomId}`);
+  }
+}
+
+// Passt die gespeicherte Version zur Bedingung von set()?
+function versionMatches(currentVersion, ifVersion) {
+  if (ifVersion === undefined) return true;
+  return ifVersion === null ? currentVersion === null : currentVersion === ifVersion;
+}
+
+function hashContent(raw) {
+  return crypto.createHash('sha1').update(raw).digest('hex');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Nur für eine einzelne Instanz geeignet (Socket-Server, Tests).
+// Speichert JSON-Strings, damit sich alle Stores gleich verhalten
+// und niemand versehentlich ein geteiltes Objekt verändert.
+class MemoryRoomStore {
+  constructor() {
+    this.rooms = new Map(); // roomId -> { raw, version }
+    this.nextVersion = 1;
+  }
+
+  async get(roomId) {
+    const entry = await this.getEntry(roomId);
+    return entry ? entry.data : null;
+  }
+
+  async getEntry(roomId) {
+    const entry = this.rooms.get(roomId);
+    return entry ? { data: JSON.parse(entry.raw), version: entry.version } : null;
+  }
+
+  async set(roomId, data, { ifVersion } = {}) {
+    const current = this.rooms.get(roomId);
+    if (!versionMatches(current ? current.version : null, ifVersion)) {
+      return false;
+    }
+    this.rooms.set(roomId, { raw: JSON.stringify(data), version: String(this.nextVersion++) });
+    return true;
+  }
+
+  async delete(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  async list() {
+    return Array.from(this.rooms.keys());
+  }
+}
+
+const LOCK_RETRY_MS = 10;
+const LOCK_STALE_MS = 5000; // Sperre eines abgestürzten Prozesses
+
+// Ein JSON-File pro Raum - für `netlify dev` und lokale Tests.
+// Version ist ein Hash des Inhalts; bedingte Schreibvorgänge sperren den Raum
+// über eine .lock-Datei, die auch andere Prozesse respektieren.
+class FileRoomStore {
+  constructor(directory = path.join(os.tmpdir(), 'ddd-dice-sync-rooms')) {
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  filePath(roomId) {
+    assertValidRoomId(roomId);
+    return path.join(this.directory, `${roomId}.json`);
+  }
+
+  async get(roomId) {
+    const entry = await this.getEntry(roomId);
+    return entry ? entry.data : null;
+  }
+
+  async getEntry(roomId) {
+    if (!isValidRoomId(roomId)) return null;
+    const raw = await this.readRaw(this.filePath(roomId));
+    return raw === null ? null : { data: JSON.parse(raw), version: hashContent(raw) };
+  }
+
+  async readRaw(file) {
+    try {
+      return await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(roomId, data, { ifVersion } = {}) {
+    const target = this.filePath(roomId);
+    return this.withFileLock(`${target}.lock`, async () => {
+      const current = await this.readRaw(target);
+      if (!versionMatches(current === null ? null : hashContent(current), ifVersion)) {
+        return false;
+      }
+      // Erst in eine temporäre Datei schreiben, dann atomar umbenennen
+      const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(data), 'utf8');
+      await fs.promises.rename(tmp, target);
+      return true;
+    });
+  }
+
+  async withFileLock(lockFile, task) {
+    let handle;
+    while (!handle) {
+      try {
+        handle = await fs.promises.open(lockFile, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        await this.removeStaleLock(lockFile);
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+    try {
+      return await task();
+    } finally {
+      await handle.close();
+      await fs.promises.unlink(lockFile).catch(() => {});
+    }
+  }
+
+  async removeStaleLock(lockFile) {
+    try {
+      const { mtimeMs } = await fs.promises.stat(lockFile);
+      if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+        await fs.promises.unlink(lockFile);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async delete(roomId) {
+    try {
+      await fs.promises.unlink(this.filePath(roomId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.directory);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+}
+
+// Netlify Blobs - geteilter Key-Value-Speicher für alle Function-Instanzen
+class BlobRoomStore {
+  constructor(storeName = 'ddd-rooms') {
+    this.storeName = storeName;
+    this.blobs = null;
+  }
+
+  // Lambda-kompatible Functions müssen Blobs mit dem Event verbinden
+  connectLambda(event) {
+    const { connectLambda } = require('@netlify/blobs');
+    connectLambda(event);
+    this.blobs = null;
+  }
+
+  getBlobs() {
+    if (!this.blobs) {
+      const { getStore } = require('@netlify/blobs');
+      this.blobs = getStore({ name: this.storeName, consistency: 'strong' });
+    }
+    return this.blobs;
+  }
+
+  async get(roomId) {
+    if (!isValidRoomId(roomId)) return null;
+    return this.getBlobs().get(roomId, { type: 'json' });
+  }
+
+  // Version ist das ETag des Blobs
+  async getEntry(roomId) {
+    if (!isValidRoomId(roomId)) return null;
+    const entry = await this.getBlobs().getWithMetadata(roomId, { type: 'json' });
+    return entry ? { data: entry.data, version: entry.etag } : null;
+  }
+
+  async set(roomId, data, { ifVersion } = {}) {
+    assertValidRoomId(roomId);
+    const options = ifVersion === undefined ? {}
+      : ifVersion === null ? { onlyIfNew: true } : { onlyIfMatch: ifVersion };
+    const { modified } = await this.getBlobs().setJSON(roomId, data, options);
+    return modified;
+  }
+
+  async delete(roomId) {
+    assertValidRoomId(roomId);
+    await this.getBlobs().delete(roomId);
+  }
+
+  async list() {
+    const { blobs } = await this.getBlobs().list();
+    return blobs.map(blob => blob.key);
+  }
+}
+
+// Store anhand der Konfiguration wählen:
+//   DDD_ROOM_STORE=memory | file | blobs (sonst options.defaultType, Standard memory)
+//   DDD_ROOM_STORE_DIR=<Verzeichnis> für den File-Store
+// Einen SQLite-Store gibt es bewusst nicht: Node 20 bringt kein SQLite mit,
+// ein natives Modul lässt sich in Functions schlecht bündeln - lokal reicht
+// der File-Store, in Produktion Netlify Blobs.
+function createRoomStore(options = {}) {
+  const type = options.type || process.env.DDD_ROOM_STORE || options.defaultType || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new MemoryRoomStore();
+    case 'file':
+      return new FileRoomStore(options.directory || process.env.DDD_ROOM_STORE_DIR);
+    case 'blobs':
+      return new BlobRoomStore(options.storeName || process.env.DDD_ROOM_STORE_NAME);
+    default:
+      throw new Error(`Unbekannter Room-Store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryRoomStore,
+  FileRoomStore,
+  BlobRoomStore,
+  createRoomStore
+};
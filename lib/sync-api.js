@@ -0,0 +1,140 @@
+// lib/sync-api.js - HTTP-Endpunkte der Room-Engine
+//
+// Transportneutral: bekommt Methode, Pfad, Body und Header und liefert
+// { statusCode, body }. Die Netlify Function und der Express-Server
+// hängen nur noch CORS/JSON-Serialisierung drumherum.
+const { RoomError, toErrorPayload } = require('./room-engine');
+
+const DEFAULT_ORIGIN = 'https://ddd-dice-sync.netlify.app';
+
+// Geheimnisse im Body - wer das Log lesen kann, könnte sonst mit dem
+// resumeToken die Sitzung übernehmen
+const REDACTED_FIELDS = ['resumeToken', 'clientSeed'];
+
+function participantInfoFromHeaders(headers = {}) {
+  return {
+    userAgent: headers['user-agent'] || 'Unknown',
+    ip: headers['client-ip'] || headers['x-forwarded-for'] || 'Unknown'
+  };
+}
+
+// Body für das Log, ohne die Werte aus REDACTED_FIELDS
+function redactBody(body) {
+  if (!body || typeof body !== 'object') return body;
+  const redacted = { ...body };
+  REDACTED_FIELDS.filter(field => field in redacted).forEach(field => {
+    redacted[field] = '[redacted]';
+  });
+  return redacted;
+}
+
+function createSyncApi(engine) {
+  const routes = {
+    // Raum erstellen
+    'POST /create-room': async ({ body, headers }) => {
+      const result = await engine.createRoom(participantInfoFromHeaders(headers), { ruleset: body.ruleset });
+      return {
+        ...result,
+        joinUrl: `${headers.origin || DEFAULT_ORIGIN}?room=${result.roomId}`
+      };
+    },
+
+    // Raum beitreten
+    'POST /join-room': async ({ body, headers }) =>
+      engine.joinRoom(body.roomId, participantInfoFromHeaders(headers)),
+
+    // Sitzung wieder aufnehmen (Reload, Verbindungsabbruch)
+    'POST /resume': async ({ body, headers }) =>
+      engine.resumeRoom(body.roomId, body.sessionId, body.resumeToken, participantInfoFromHeaders(headers)),
+
+    // Spieler synchronisieren
+    'POST /sync-players': async ({ body }) =>
+      engine.syncPlayers(body.roomId, body.sessionId, body.resumeToken, body.players),
+
+    // Serverseitig würfeln (Commit-Reveal, siehe fair-roll.js)
+    'POST /roll': async ({ body }) =>
+      engine.roll(body.roomId, body.sessionId, body.resumeToken, body.clientSeed),
+
+    // Einzelne Würfel des aktuellen Wurfs nachwürfeln
+    'POST /reroll': async ({ body }) =>
+      engine.reroll(body.roomId, body.sessionId, body.resumeToken, body.indices, body.clientSeed),
+
+    // Schwarzen Würfel eines eigenen Spielers einsetzen
+    'POST /black-die': async ({ body }) =>
+      engine.useBlackDie(body.roomId, body.sessionId, body.resumeToken, body.playerId, body.action, body.index, body.clientSeed),
+
+    // Manuell eingestellte Würfel (Tisch-Würfel) synchronisieren
+    'POST /sync-dice': async ({ body }) =>
+      engine.syncDice(body.roomId, body.sessionId, body.resumeToken, body.diceValues),
+
+    // Timer synchronisieren
+    'POST /sync-timer': async ({ body }) =>
+      engine.syncTimer(body.roomId, body.sessionId, body.resumeToken, body.timerState),
+
+    // Zug beenden (Spieler am Zug oder Host)
+    'POST /end-turn': async ({ body }) =>
+      engine.endTurn(body.roomId, body.sessionId, body.resumeToken),
+
+    // Host: Rolle übertragen, Sitzung entfernen, Raum sperren / Steuerung festlegen
+    // (mit dem resumeToken der Sitzung - die sessionId des Hosts kennen alle)
+    'POST /transfer-host': async ({ body }) =>
+      engine.transferHost(body.roomId, body.sessionId, body.resumeToken, body.targetSessionId),
+
+    'POST /kick': async ({ body }) =>
+      engine.kickSession(body.roomId, body.sessionId, body.resumeToken, body.targetSessionId),
+
+    'POST /room-settings': async ({ body }) =>
+      engine.updateSettings(body.roomId, body.sessionId, body.resumeToken, body.settings),
+
+    // Nachrichten nach Sequenznummer `afterSeq` abrufen
+    'POST /poll': async ({ body }) =>
+      engine.poll(body.roomId, body.sessionId, body.afterSeq),
+
+    // Raum verlassen
+    'POST /leave-room': async ({ body }) =>
+      engine.leaveRoom(body.roomId, body.sessionId, body.resumeToken)
+  };
+
+  async function handle({ method, path, body = {}, headers = {} }) {
+    console.log(`${method} ${path}`, redactBody(body));
+
+    try {
+      // Health Check
+      if (path === '/health' || path === '') {
+        return { statusCode: 200, body: await engine.health() };
+      }
+
+      // Wurf-Verlauf
+      const historyMatch = method === 'GET' && path.match(/^\/room\/([^/]+)\/history$/);
+      if (historyMatch) {
+        return { statusCode: 200, body: await engine.getRoomHistory(historyMatch[1]) };
+      }
+
+      // Raum-Info
+      if (path.startsWith('/room/') && method === 'GET') {
+        const roomId = path.replace('/room/', '');
+        return { statusCode: 200, body: await engine.getRoomInfo(roomId) };
+      }
+
+      const route = routes[`${method} ${path}`];
+      if (!route) {
+        throw new RoomError('ENDPOINT_NOT_FOUND');
+      }
+
+      const result = await route({ body: body || {}, headers });
+      return { statusCode: 200, body: { success: true, ...result } };
+    } catch (error) {
+      if (!(error instanceof RoomError)) {
+        console.error('Sync API error:', error);
+      }
+      return {
+        statusCode: error instanceof RoomError ? error.statusCode : 500,
+        body: toErrorPayload(error)
+      };
+    }
+  }
+
+  return { handle };
+}
+
+module.exports = { createSyncApi, participantInfoFromHeaders, redactBody };
@@ -0,0 +1,141 @@
+// lib/sync-stream.js - Server-Sent Events für Raum-Nachrichten
+//
+// GET /stream?roomId=...&sessionId=... liefert die Raum-Nachrichten
+// (dice-roll, timer-sync, players-update, ...) als SSE. Die Event-ID ist die
+// Sequenznummer der Nachricht - EventSource schickt sie beim Wiederverbinden
+// als Last-Event-ID mit, der Stream setzt genau dort wieder an.
+//
+// Fehler (Raum/Sitzung weg) kommen als 'room-error'-Event mit Status 200,
+// weil EventSource bei einem HTTP-Fehlerstatus den Body nicht auswertet.
+const { toErrorPayload } = require('./room-engine');
+
+const STREAM_WAIT_MS = 8000; // Netlify: Function-Timeout liegt bei 10 Sekunden
+const STREAM_CHECK_MS = 1000;
+const RETRY_MS = 500;
+const KEEPALIVE_MS = 25 * 1000;
+
+const STREAM_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache'
+};
+
+function formatEvent({ id = null, event = null, data = null, retry = null }) {
+  let text = '';
+  if (retry !== null) text += `retry: ${retry}\n`;
+  if (id !== null) text += `id: ${id}\n`;
+  if (event) text += `event: ${event}\n`;
+  if (data !== null) text += `data: ${JSON.stringify(data)}\n`;
+  return text + '\n';
+}
+
+function messageEvent(message) {
+  return formatEvent({ id: message.seq, data: message });
+}
+
+// Raumzustand wie bei /poll (inkl. resync); die ID markiert den Stand,
+// bis zu dem alles geliefert ist
+function snapshotEvent(pollResult) {
+  const { messages, ...snapshot } = pollResult;
+  return formatEvent({ id: pollResult.seq, event: 'snapshot', data: snapshot });
+}
+
+function errorEvent(error) {
+  return formatEvent({ event: 'room-error', data: toErrorPayload(error) });
+}
+
+// Last-Event-ID (Wiederverbinden) hat Vorrang vor ?afterSeq= (erster Aufbau)
+function streamParams(query = {}, headers = {}) {
+  return {
+    roomId: query.roomId,
+    sessionId: query.sessionId,
+    afterSeq: headers['last-event-id'] || query.afterSeq || null
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Endliche Antwort für Netlify Functions (kein echtes Streaming): wartet bis
+// Nachrichten da sind oder die Wartezeit um ist. EventSource verbindet sich
+// danach nach `retry` Millisekunden mit Last-Event-ID neu. Während des Wartens
+// wird nur `seq` verglichen; /poll läuft erst wieder, wenn sich etwas tut.
+async function collectStream(engine, { roomId, sessionId, afterSeq }, waitMs = STREAM_WAIT_MS) {
+  const deadline = Date.now() + waitMs;
+
+  try {
+    let result = await engine.poll(roomId, sessionId, afterSeq);
+    while (result.messages.length === 0 && !result.resync && Date.now() + STREAM_CHECK_MS < deadline) {
+      await sleep(STREAM_CHECK_MS);
+      if (await engine.getSeq(roomId) !== result.seq) {
+        result = await engine.poll(roomId, sessionId, afterSeq);
+      }
+    }
+
+    return formatEvent({ retry: RETRY_MS }) +
+      result.messages.map(messageEvent).join('') +
+      snapshotEvent(result);
+  } catch (error) {
+    if (!error.statusCode) console.error('Stream error:', error);
+    return errorEvent(error);
+  }
+}
+
+// Offener Stream für den Express-Server: Nachrichten kommen direkt aus dem
+// 'message'-Event der Engine. `res` braucht write(), end() und ein 'close'-Event.
+async function openStream(engine, { roomId, sessionId, afterSeq }, res) {
+  const streamRoomId = String(roomId).toUpperCase();
+  let pending = []; // Nachrichten, die während des ersten /poll eintreffen
+  let keepAlive = null;
+  let closed = false;
+
+  const onMessage = (messageRoomId, message) => {
+    if (messageRoomId !== streamRoomId || message.fromSession === sessionId) return;
+    if (pending) {
+      pending.push(message);
+    } else {
+      res.write(messageEvent(message));
+    }
+  };
+
+  function close() {
+    closed = true;
+    clearInterval(keepAlive);
+    engine.off('message', onMessage);
+  }
+
+  // Vor dem ersten await - der Client kann schon während des /poll gehen
+  engine.on('message', onMessage);
+  res.on('close', close);
+
+  let initial;
+  try {
+    initial = await engine.poll(roomId, sessionId, afterSeq);
+  } catch (error) {
+    close();
+    if (!error.statusCode) console.error('Stream error:', error);
+    res.end(errorEvent(error));
+    return;
+  }
+  if (closed) return;
+
+  res.write(formatEvent({ retry: RETRY_MS }));
+  initial.messages.forEach(message => res.write(messageEvent(message)));
+  res.write(snapshotEvent(initial));
+  pending
+    .filter(message => message.seq > initial.seq)
+    .forEach(message => res.write(messageEvent(message)));
+  pending = null;
+
+  // Offener Stream zählt als Aktivität - sonst entfernt die Engine die
+  // Sitzung nach 5 Minuten ohne Request aus dem Raum
+  keepAlive = setInterval(() => {
+    res.write(': keepalive\n\n');
+    engine.touch(roomId, sessionId).catch(error => {
+      close();
+      res.end(errorEvent(error));
+    });
+  }, KEEPALIVE_MS);
+}
+
+module.exports = { STREAM_HEADERS, collectStream, openStream, streamParams, formatEvent };
@@ -0,0 +1,241 @@
+// roll-stats.js - Laufende Wurfstatistik eines Raums
+//
+// Zählt über alle Würfe eines Regelwerks die Augen je Würfel, Würfe mit
+// Pasch und die Anzahl der Aufteilungen - getrennt nach Serverwürfen
+// (`auto`) und manuell eingestellten Würfen (`manual`). Bei Nachwürfen und
+// schwarzen Würfeln (`rerolled`) zählen nur die Augen der neu gewürfelten
+// Würfel des Regelwerks - Pasch und Aufteilungen hängen von den behaltenen
+// Würfeln ab, dazugelegte schwarze Würfel gehören nicht zum Regelwerk. evaluate()
+// vergleicht das mit der Erwartung aus dice-math.js und prüft per
+// Chi-Quadrat-Test, ob die Würfel fair aussehen.
+//
+// Die Room-Engine und der Client zählen mit derselben Funktion addRoll(),
+// damit der Client neue Würfe selbst nachtragen kann.
+//
+// Läuft im Browser (window.RollStats) und in Node (require).
+const RollStats = (() => {
+  // Im Browser als Skript davor eingebunden
+  const diceMath = typeof DiceMath !== 'undefined' ? DiceMath : require('./dice-math');
+
+  // Chi-Quadrat braucht mindestens 5 erwartete Treffer je Feld
+  const MIN_EXPECTED = 5;
+  const SUSPICIOUS_P = 0.05;
+  const BIASED_P = 0.01;
+
+  function emptySource(ruleset) {
+    return {
+      rolls: 0,
+      faces: Array.from({ length: ruleset.diceCount }, () => Array(ruleset.sides).fill(0)),
+      paschRolls: { base: 0, all: 0 },
+      splits: { list1: 0, list2: 0 }
+    };
+  }
+
+  function create(ruleset = diceMath.DEFAULT_RULESET) {
+    return {
+      ruleset,
+      lastRollNumber: 0,
+      sources: { auto: emptySource(ruleset), manual: emptySource(ruleset) }
+    };
+  }
+
+  function hasPasch(split) {
+    return split.groups.some(group => group.every(value => value === group[0]));
+  }
+
+  // Wurf aus dem Verlauf ({ number, values, manual, ruleset, rerolled? }) zählen. Gibt
+  // die Statistik zurück - neu angelegt, wenn noch keine da ist oder das
+  // Regelwerk gewechselt hat. Bereits gezählte Nummern werden übersprungen.
+  function addRoll(stats, entry) {
+    const ruleset = entry.ruleset || diceMath.DEFAULT_RULESET;
+    if (!stats || diceMath.rulesetKey(stats.ruleset) !== diceMath.rulesetKey(ruleset)) {
+      stats = create(ruleset);
+    }
+    if (entry.number <= stats.lastRollNumber || !diceMath.isValidRoll(entry.values, ruleset)) {
+      return stats;
+    }
+
+    const source = stats.sources[entry.manual ? 'manual' : 'auto'];
+    stats.lastRollNumber = entry.number;
+
+    if (entry.rerolled) {
+      entry.rerolled.forEach(die => { source.faces[die][entry.values[die] - 1]++; });
+      return stats;
+    }
+
+    const { list1, list2 } = diceMath.analyzeRoll(entry.values, ruleset);
+    source.rolls++;
+    entry.values.forEach((value, die) => { source.faces[die][value - 1]++; });
+    if (list1.some(hasPasch)) source.paschRolls.base++;
+    if (list1.some(hasPasch) || list2.some(hasPasch)) source.paschRolls.all++;
+    source.splits.list1 += list1.length;
+    source.splits.list2 += list2.length;
+    return stats;
+  }
+
+  // 'auto', 'manual' oder 'all' (beide zusammen)
+  function getSource(stats, sourceName = 'all') {
+    if (sourceName !== 'all') return stats.sources[sourceName];
+
+    const { auto, manual } = stats.sources;
+    return {
+      rolls: auto.rolls + manual.rolls,
+      faces: auto.faces.map((counts, die) => counts.map((count, face) => count + manual.faces[die][face])),
+      paschRolls: {
+        base: auto.paschRolls.base + manual.paschRolls.base,
+        all: auto.paschRolls.all + manual.paschRolls.all
+      },
+      splits: {
+        list1: auto.splits.list1 + manual.splits.list1,
+        list2: auto.splits.list2 + manual.splits.list2
+      }
+    };
+  }
+
+  // Chi-Quadrat-Verteilung
+
+  // ln Γ(x) nach Lanczos
+  function logGamma(x) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(c => { series += c / ++y; });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+  }
+
+  // Obere regularisierte Gammafunktion Q(a, x)
+  function upperGamma(a, x) {
+    if (x <= 0) return 1;
+    const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+    if (x < a + 1) {
+      // Reihe für P(a, x)
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+        term *= x / (a + n);
+        sum += term;
+      }
+      return 1 - sum * Math.exp(logPrefix);
+    }
+
+    // Kettenbruch für Q(a, x) (Lentz)
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.exp(logPrefix) * h;
+  }
+
+  // p-Wert: Wahrscheinlichkeit, mit fairen Würfeln mindestens diese
+  // Abweichung zu sehen
+  function chiSquarePValue(chiSquare, degreesOfFreedom) {
+    return Math.min(Math.max(upperGamma(degreesOfFreedom / 2, chiSquare / 2), 0), 1);
+  }
+
+  // observed/expected: gleich lange Arrays
+  function chiSquareTest(observed, expected) {
+    // Felder ohne Erwartung (z.B. noch keine Würfe) tragen nichts bei
+    const chiSquare = observed.reduce((sum, count, i) =>
+      (expected[i] > 0 ? sum + (count - expected[i]) ** 2 / expected[i] : sum), 0);
+    const degreesOfFreedom = observed.length - 1;
+    const pValue = chiSquarePValue(chiSquare, degreesOfFreedom);
+    const enoughData = expected.every(value => value >= MIN_EXPECTED);
+    return { chiSquare, degreesOfFreedom, pValue, verdict: verdictFor(enoughData, pValue) };
+  }
+
+  // 'insufficient' | 'fair' | 'suspicious' | 'biased'
+  function verdictFor(enoughData, pValue) {
+    if (!enoughData) return 'insufficient';
+    if (pValue < BIASED_P) return 'biased';
+    if (pValue < SUSPICIOUS_P) return 'suspicious';
+    return 'fair';
+  }
+
+  // Beobachtung vs. Erwartung für eine Quelle
+  function evaluate(stats, sourceName = 'all') {
+    const { ruleset } = stats;
+    const source = getSource(stats, sourceName);
+    const rolls = source.rolls;
+    const base = diceMath.baseDiceCount(ruleset);
+    const hasExtraDice = ruleset.diceCount > base;
+    // Gleichverteilt über die gezählten Augen - mit Nachwürfen hat nicht
+    // jeder Würfel gleich viele
+    const facesTest = counts => {
+      const expected = counts.reduce((sum, count) => sum + count, 0) / ruleset.sides;
+      return { counts, expected, ...chiSquareTest(counts, Array(ruleset.sides).fill(expected)) };
+    };
+
+    const perDie = source.faces.map((counts, die) => ({ die: die + 1, ...facesTest(counts) }));
+
+    // Alle Würfel zusammen: Augen über alle Würfel summiert
+    const overall = facesTest(source.faces.reduce((sum, counts) => sum.map((count, face) => count + counts[face])));
+
+    const paschExpected = diceMath.paschProbability(ruleset);
+    const paschTest = (observed, probability) => ({
+      observed,
+      rate: rolls > 0 ? observed / rolls : 0,
+      expectedRate: probability,
+      ...chiSquareTest([observed, rolls - observed], [rolls * probability, rolls * (1 - probability)])
+    });
+
+    const splitsExpected = diceMath.expectedSplitCounts(ruleset);
+    const average = count => (rolls > 0 ? count / rolls : 0);
+
+    return {
+      ruleset,
+      source: sourceName,
+      rolls,
+      faces: { perDie, overall },
+      pasch: {
+        base: paschTest(source.paschRolls.base, paschExpected.base),
+        all: hasExtraDice ? paschTest(source.paschRolls.all, paschExpected.all) : null
+      },
+      splits: {
+        list1: { average: average(source.splits.list1), expected: splitsExpected.list1 },
+        list2: hasExtraDice ? { average: average(source.splits.list2), expected: splitsExpected.list2 } : null
+      },
+      // Gesamturteil über die Augenverteilung aller Würfel
+      verdict: overall.verdict
+    };
+  }
+
+  return {
+    MIN_EXPECTED,
+    SUSPICIOUS_P,
+    BIASED_P,
+    create,
+    addRoll,
+    getSource,
+    chiSquarePValue,
+    chiSquareTest,
+    evaluate
+  };
+})();
+
+// Export für Modul-Systeme
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RollStats;
+}
+
+// Global verfügbar machen für Browser
+if (typeof window !== 'undefined') {
+  window.RollStats = RollStats;
+}
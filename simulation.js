@@ -0,0 +1,276 @@
+// simulation.js - Monte-Carlo-Simulation für Hausregeln
+//
+// Würfelt N-mal nach einem Regelwerk (DiceMath.rollValues) und zählt mit
+// getSplits/analyzeRoll:
+//   - Aufteilungen pro Wurf mit und ohne Zusatzwürfel
+//   - Würfe mit Pasch (eine Gruppe mit lauter gleichen Augen)
+//   - Gruppensummen aller Aufteilungen und erreichbare Summen pro Wurf
+// compareWithExact() stellt die Ergebnisse der exakten Berechnung aus
+// dice-math.js gegenüber, toCSV() macht daraus eine CSV-Datei.
+//
+// Läuft im Browser (window.DiceSimulation) und in Node (require), direkt
+// aufgerufen als Kommandozeilenwerkzeug:
+//   node simulation.js [würfe] [--dice=5] [--sides=6] [--grouping=two-pairs] [--seed=1] [--csv]
+const DiceSimulation = (() => {
+  // Im Browser als Skript davor eingebunden
+  const diceMath = typeof DiceMath !== 'undefined' ? DiceMath : require('./dice-math');
+
+  const DEFAULT_ROLLS = 10000;
+
+  // Reproduzierbarer Zufall (mulberry32) - gleicher Seed, gleiche Würfe
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function increment(counts, key, by = 1) {
+    counts[key] = (counts[key] || 0) + by;
+  }
+
+  function hasPasch(split) {
+    return split.groups.some(group => group.every(value => value === group[0]));
+  }
+
+  // Zähler für Würfe eines Regelwerks; add() nimmt einzelne Würfe, damit
+  // die Seite in Portionen rechnen kann
+  function createAccumulator(ruleset = diceMath.DEFAULT_RULESET) {
+    const result = {
+      ruleset,
+      rolls: 0,
+      splitCounts: { list1: {}, list2: {} }, // Anzahl Aufteilungen -> Würfe
+      paschRolls: { base: 0, all: 0 },
+      groupSums: { list1: {}, list2: {} }, // Gruppensumme -> Gruppen
+      groupTotals: { list1: 0, list2: 0 },
+      reachable: { base: {}, all: {} } // Summe -> Würfe, in denen sie erreichbar ist
+    };
+
+    function countSplits(list, splits) {
+      increment(result.splitCounts[list], splits.length);
+      splits.forEach(split => diceMath.groupSums(split).forEach(sum => {
+        increment(result.groupSums[list], sum);
+        result.groupTotals[list]++;
+      }));
+    }
+
+    function add(values) {
+      const { list1, list2 } = diceMath.analyzeRoll(values, ruleset);
+      result.rolls++;
+      countSplits('list1', list1);
+      countSplits('list2', list2);
+
+      if (list1.some(hasPasch)) result.paschRolls.base++;
+      if (list1.some(hasPasch) || list2.some(hasPasch)) result.paschRolls.all++;
+
+      const baseSums = new Set(list1.flatMap(split => diceMath.groupSums(split)));
+      const allSums = new Set([...baseSums, ...list2.flatMap(split => diceMath.groupSums(split))]);
+      baseSums.forEach(sum => increment(result.reachable.base, sum));
+      allSums.forEach(sum => increment(result.reachable.all, sum));
+    }
+
+    return { add, result: () => result };
+  }
+
+  // options: { ruleset, rolls, random }
+  function simulate({ ruleset = diceMath.DEFAULT_RULESET, rolls = DEFAULT_ROLLS, random = Math.random } = {}) {
+    const accumulator = createAccumulator(ruleset);
+    for (let i = 0; i < rolls; i++) {
+      accumulator.add(diceMath.rollValues(ruleset, random));
+    }
+    return accumulator.result();
+  }
+
+  function mean(histogram, count) {
+    const total = Object.entries(histogram).reduce((sum, [value, rolls]) => sum + Number(value) * rolls, 0);
+    return count > 0 ? total / count : 0;
+  }
+
+  // Anteil der Gruppensummen über alle Aufteilungen aus den Häufigkeitstabellen
+  function exactGroupSums(table) {
+    const sums = {};
+    let groups = 0;
+    Object.entries(table.counts).forEach(([key, count]) => {
+      key.split('|').forEach(group => {
+        increment(sums, group.split('-').reduce((sum, value) => sum + Number(value), 0), count);
+        groups += count;
+      });
+    });
+    return { sums, groups };
+  }
+
+  // Tabellenzeilen { section, key, simulated, exact } - Anteile 0..1 bzw.
+  // Mittelwerte; `exact` ist null, wo es keinen exakten Wert gibt
+  function compareWithExact(result) {
+    const { ruleset, rolls } = result;
+    const base = diceMath.baseDiceCount(ruleset);
+    const hasExtraDice = ruleset.diceCount > base;
+    const tables = diceMath.getFrequencyTables(ruleset);
+    const expectedSplits = diceMath.expectedSplitCounts(ruleset);
+    const pasch = diceMath.paschProbability(ruleset);
+    const range = diceMath.groupSumRange(ruleset);
+    const rows = [];
+    const share = (count, total) => (total > 0 ? count / total : 0);
+
+    rows.push({
+      section: 'Aufteilungen pro Wurf',
+      key: 'Liste 1 (Mittel)',
+      simulated: mean(result.splitCounts.list1, rolls),
+      exact: expectedSplits.list1
+    });
+    if (hasExtraDice) {
+      rows.push({
+        section: 'Aufteilungen pro Wurf',
+        key: 'Liste 2 (Mittel)',
+        simulated: mean(result.splitCounts.list2, rolls),
+        exact: expectedSplits.list2
+      });
+    }
+
+    rows.push({
+      section: 'Pasch',
+      key: `Würfel 1–${base}`,
+      simulated: share(result.paschRolls.base, rolls),
+      exact: pasch.base
+    });
+    if (hasExtraDice) {
+      rows.push({
+        section: 'Pasch',
+        key: `Alle ${ruleset.diceCount} Würfel`,
+        simulated: share(result.paschRolls.all, rolls),
+        exact: pasch.all
+      });
+    }
+
+    ['list1', 'list2'].forEach(list => {
+      if (list === 'list2' && !hasExtraDice) return;
+      Object.keys(result.splitCounts[list]).map(Number).sort((a, b) => a - b).forEach(count => {
+        rows.push({
+          section: `Würfe mit n Aufteilungen (${list === 'list1' ? 'Liste 1' : 'Liste 2'})`,
+          key: String(count),
+          simulated: share(result.splitCounts[list][count], rolls),
+          exact: null
+        });
+      });
+    });
+
+    ['base', 'all'].forEach(dice => {
+      if (dice === 'all' && !hasExtraDice) return;
+      for (let sum = range.min; sum <= range.max; sum++) {
+        const probability = diceMath.getSumProbability(sum, ruleset)[dice];
+        rows.push({
+          section: dice === 'base' ? `Summe erreichbar (Würfel 1–${base})` : 'Summe erreichbar (alle Würfel)',
+          key: String(sum),
+          simulated: share(result.reachable[dice][sum] || 0, rolls),
+          exact: probability.count / probability.total
+        });
+      }
+    });
+
+    ['list1', 'list2'].forEach(list => {
+      if (list === 'list2' && !hasExtraDice) return;
+      const exact = exactGroupSums(tables[list]);
+      for (let sum = range.min; sum <= range.max; sum++) {
+        rows.push({
+          section: `Gruppensummen (${list === 'list1' ? 'Liste 1' : 'Liste 2'})`,
+          key: String(sum),
+          simulated: share(result.groupSums[list][sum] || 0, result.groupTotals[list]),
+          exact: share(exact.sums[sum] || 0, exact.groups)
+        });
+      }
+    });
+
+    return rows;
+  }
+
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCSV(rows, result) {
+    const lines = [];
+    if (result) {
+      lines.push(`# ${diceMath.rulesetKey(result.ruleset)}, ${result.rolls} Würfe`);
+    }
+    lines.push('Bereich,Wert,Simuliert,Exakt,Abweichung');
+    rows.forEach(row => {
+      lines.push([
+        row.section,
+        row.key,
+        row.simulated.toFixed(6),
+        row.exact === null ? '' : row.exact.toFixed(6),
+        row.exact === null ? '' : (row.simulated - row.exact).toFixed(6)
+      ].map(csvField).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    DEFAULT_ROLLS,
+    createRandom,
+    createAccumulator,
+    simulate,
+    compareWithExact,
+    toCSV
+  };
+})();
+
+// Export für Modul-Systeme
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiceSimulation;
+}
+
+// Global verfügbar machen für Browser
+if (typeof window !== 'undefined') {
+  window.DiceSimulation = DiceSimulation;
+}
+
+// Kommandozeile
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  const DiceMath = require('./dice-math');
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : fallback;
+  };
+
+  const ruleset = {
+    diceCount: Number(option('dice', DiceMath.DEFAULT_RULESET.diceCount)),
+    sides: Number(option('sides', DiceMath.DEFAULT_RULESET.sides)),
+    grouping: option('grouping', DiceMath.DEFAULT_RULESET.grouping)
+  };
+  const error = DiceMath.getRulesetError(ruleset);
+  if (error) {
+    console.error(error);
+    process.exit(1);
+  }
+
+  const rollsArg = args.find(a => !a.startsWith('--'));
+  const rolls = rollsArg === undefined ? DiceSimulation.DEFAULT_ROLLS : Number(rollsArg);
+  if (!Number.isSafeInteger(rolls) || rolls < 1) {
+    console.error(`Anzahl der Würfe muss eine ganze Zahl ab 1 sein: ${rollsArg}`);
+    process.exit(1);
+  }
+  const seed = option('seed', null);
+  const random = seed === null ? Math.random : DiceSimulation.createRandom(Number(seed));
+
+  const result = DiceSimulation.simulate({ ruleset, rolls, random });
+  const rows = DiceSimulation.compareWithExact(result);
+
+  if (args.includes('--csv')) {
+    process.stdout.write(DiceSimulation.toCSV(rows, result));
+  } else {
+    console.log(`${DiceMath.rulesetKey(ruleset)}, ${rolls} Würfe`);
+    console.table(rows.map(row => ({
+      Bereich: row.section,
+      Wert: row.key,
+      Simuliert: row.simulated.toFixed(4),
+      Exakt: row.exact === null ? '' : row.exact.toFixed(4)
+    })));
+  }
+}
@@ -0,0 +1,181 @@
+// strategy.js - Zugvorschläge: bewertet die Aufteilungen eines Wurfs
+//
+// Eine Strategie bekommt die Merkmale einer Aufteilung (Summen, Pasch,
+// Wahrscheinlichkeit, ob ein Zusatzwürfel gebraucht wird) und den Zustand
+// des Spielers aus dem Dashboard (Lebenspunkte, schwarze Würfel,
+// Schatztruhen) und liefert eine Punktzahl samt Begründungen. Die
+// Aufteilung mit der höchsten Punktzahl wird empfohlen.
+//
+// Die Bewertungen sind Heuristiken, keine Spielregeln. Eigene Strategien
+// lassen sich mit registerStrategy() ergänzen.
+//
+// Läuft im Browser (window.DiceStrategy) und in Node (require).
+const DiceStrategy = (() => {
+  // Im Browser als Skript davor eingebunden
+  const diceMath = typeof DiceMath !== 'undefined' ? DiceMath : require('./dice-math');
+
+  const MAX_HEALTH = 20;
+  const DEFAULT_STRATEGY = 'probability';
+
+  const strategies = new Map();
+
+  // strategy: { label, description, score(features, state) -> { score, reasons } }
+  function registerStrategy(id, strategy) {
+    if (!strategy || typeof strategy.score !== 'function' || !strategy.label) {
+      throw new Error(`Strategie ${id} braucht label und score()`);
+    }
+    strategies.set(id, { id, description: '', ...strategy });
+  }
+
+  function getStrategy(id) {
+    return strategies.get(id) || strategies.get(DEFAULT_STRATEGY);
+  }
+
+  function listStrategies() {
+    return Array.from(strategies.values());
+  }
+
+  // Spielzustand aus einem Dashboard-Spieler; ohne Spieler neutral
+  // (volle Lebenspunkte, schwarze Würfel nicht erfasst)
+  function playerState(player) {
+    if (!player) {
+      return { health: MAX_HEALTH, healthRatio: 1, blackDice: null, treasureCategories: [], openTreasure: 0 };
+    }
+
+    const health = player.health === 'dead' ? 0 : Number(player.health) || 0;
+    const treasureCategories = Object.keys(player.treasureCategories || {})
+      .filter(type => player.treasureCategories[type]);
+    const openTreasure = treasureCategories
+      .reduce((open, type) => open + ((player.treasure && player.treasure[type]) || []).filter(taken => !taken).length, 0);
+
+    return {
+      health,
+      healthRatio: Math.min(health / MAX_HEALTH, 1),
+      blackDice: (player.blackDice || []).filter(Boolean).length,
+      treasureCategories,
+      openTreasure
+    };
+  }
+
+  // Strategieunabhängige Merkmale einer Aufteilung aus getSplits()
+  function describeSplit(split, list, ruleset = diceMath.DEFAULT_RULESET) {
+    const sums = diceMath.groupSums(split);
+    const probability = diceMath.getSplitProbability(split.key, list, ruleset);
+
+    return {
+      split,
+      list,
+      sums,
+      total: sums.reduce((total, sum) => total + sum, 0),
+      minSum: Math.min(...sums),
+      spread: Math.max(...sums) - Math.min(...sums),
+      paschCount: split.groups.filter(group => group.every(value => value === group[0])).length,
+      usesExtraDie: list === 'list2',
+      // Anteil an allen Aufteilungen der Liste, 0..1
+      probability: probability.total > 0 ? probability.count / probability.total : 0,
+      percentage: probability.percentage
+    };
+  }
+
+  // Alle Aufteilungen aus analyzeRoll() bewerten, beste zuerst
+  function rankSplits({ list1 = [], list2 = [] }, player, strategyId = DEFAULT_STRATEGY, ruleset = diceMath.DEFAULT_RULESET) {
+    const strategy = getStrategy(strategyId);
+    const state = playerState(player);
+
+    return list1.map(split => describeSplit(split, 'list1', ruleset))
+      .concat(list2.map(split => describeSplit(split, 'list2', ruleset)))
+      .map(features => ({ ...features, ...strategy.score(features, state, ruleset) }))
+      .sort((a, b) => b.score - a.score || a.probability - b.probability);
+  }
+
+  // Empfehlung { strategy, best, ranking, explanation } oder null ohne Aufteilung
+  function recommend(lists, player, strategyId = DEFAULT_STRATEGY, ruleset = diceMath.DEFAULT_RULESET) {
+    const ranking = rankSplits(lists, player, strategyId, ruleset);
+    if (ranking.length === 0) return null;
+
+    const strategy = getStrategy(strategyId);
+    const best = ranking[0];
+    return {
+      strategy,
+      best,
+      ranking,
+      explanation: `${strategy.label}: Summen ${best.sums.join(' + ')}` +
+        (best.reasons.length > 0 ? ` – ${best.reasons.join(', ')}` : '')
+    };
+  }
+
+  // Eingebaute Strategien
+
+  registerStrategy('risk-averse', {
+    label: 'Vorsichtig',
+    description: 'Ausgeglichene Summen, möglichst ohne Zusatzwürfel - umso mehr, je weniger Lebenspunkte',
+    score(features, state) {
+      const caution = 2 - state.healthRatio; // 1 bei vollen, 2 bei keinen Lebenspunkten
+      const reasons = [];
+      let score = -features.spread * caution + features.paschCount * 2;
+
+      if (features.spread <= 1) reasons.push('ausgeglichene Summen');
+      if (features.paschCount > 0) reasons.push('Pasch');
+      if (features.usesExtraDie) {
+        score -= 4 * caution;
+      } else {
+        reasons.push('ohne Zusatzwürfel');
+      }
+      if (state.healthRatio < 0.5) reasons.push(`nur ${state.health} Lebenspunkte`);
+
+      return { score, reasons };
+    }
+  });
+
+  registerStrategy('greedy', {
+    label: 'Gierig',
+    description: 'Möglichst hohe Summen, vor allem solange Schatztruhen offen sind',
+    score(features, state, ruleset) {
+      const greed = 1 + state.openTreasure / 4;
+      const reasons = [`Gesamtsumme ${features.total}`];
+      let score = features.total * greed + features.paschCount * ruleset.sides / 2;
+
+      if (features.paschCount > 0) reasons.push('Pasch');
+      if (state.openTreasure > 0) reasons.push(`${state.openTreasure} offene Schätze`);
+
+      return { score, reasons };
+    }
+  });
+
+  registerStrategy('probability', {
+    label: 'Wahrscheinlichkeit',
+    description: 'Seltene Aufteilungen nutzen - häufige kommen wieder',
+    score(features) {
+      // -log(p): je seltener, desto wertvoller
+      const rarity = -Math.log(Math.max(features.probability, 1e-9));
+      const reasons = [`selten (${features.percentage}%)`];
+      const score = rarity * 10 + features.paschCount;
+
+      if (features.paschCount > 0) reasons.push('Pasch');
+
+      return { score, reasons };
+    }
+  });
+
+  return {
+    MAX_HEALTH,
+    DEFAULT_STRATEGY,
+    registerStrategy,
+    getStrategy,
+    listStrategies,
+    playerState,
+    describeSplit,
+    rankSplits,
+    recommend
+  };
+})();
+
+// Export für Modul-Systeme
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiceStrategy;
+}
+
+// Global verfügbar machen für Browser
+if (typeof window !== 'undefined') {
+  window.DiceStrategy = DiceStrategy;
+}
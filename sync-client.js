@@ -1,9 +1,284 @@
 // sync-client.js - Erweitert um verbessertes Player Management
+
+// Transporte: Beide bieten dieselbe Schnittstelle
+//   connect()              - Verbindung herstellen/prüfen (wirft bei Fehler)
+//   send(endpoint, data, method) - API-Aufruf (Standard POST), liefert die Antwort des Servers
+//   start() / stop()       - Empfang von Raum-Nachrichten ein-/ausschalten
+//   close()                - Transport endgültig schließen
+
+// Fehler, nach denen die Sitzung nicht mehr im Raum ist
+function isRoomLostError(error) {
+  return ['ROOM_NOT_FOUND', 'SESSION_NOT_FOUND', 'SESSION_KICKED'].includes(error.code);
+}
+
+// HTTP: Nachrichten werden per /poll abgeholt (Netlify Functions)
+class PollingTransport {
+  constructor(client) {
+    this.client = client;
+    this.name = 'polling';
+    this.pollTimer = null;
+    this.pollDelay = 2000; // 2 Sekunden
+    this.isActive = false;
+  }
+
+  async connect() {
+    const data = await this.client.makeRequest('/health');
+    console.log('Server health check successful:', data);
+  }
+
+  send(endpoint, data, method = 'POST') {
+    return this.client.makeRequest(endpoint, data, method);
+  }
+
+  start() {
+    this.stop();
+    this.isActive = true;
+    this.scheduleNextPoll();
+  }
+
+  scheduleNextPoll() {
+    this.pollTimer = setTimeout(() => this.poll(), this.pollDelay);
+  }
+
+  async poll() {
+    if (!this.isActive) return;
+
+    try {
+      await this.client.pollOnce();
+      // Bei erfolgreicher Antwort Polling-Delay zurücksetzen
+      this.pollDelay = 2000;
+    } catch (error) {
+      console.error('Polling error:', error);
+
+      // Raum oder Sitzung existiert nicht mehr - Weiterpollen ist zwecklos
+      if (isRoomLostError(error)) {
+        this.client.handleRoomLost(error);
+        return;
+      }
+
+      // Bei Fehlern weniger häufig pollen
+      this.pollDelay = Math.min(this.pollDelay * 1.5, 10000); // Max 10 Sekunden
+    }
+
+    if (this.isActive) {
+      this.scheduleNextPoll();
+    }
+  }
+
+  stop() {
+    this.isActive = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  close() {
+    this.stop();
+  }
+}
+
+// Server-Sent Events: API-Aufrufe per HTTP, Nachrichten über GET /stream.
+// Der Express-Server hält den Stream offen, die Netlify Function antwortet
+// endlich und EventSource verbindet sich mit Last-Event-ID neu.
+class SseTransport {
+  constructor(client) {
+    this.client = client;
+    this.name = 'sse';
+    this.eventSource = null;
+    this.failures = 0;
+  }
+
+  async connect() {
+    if (typeof EventSource !== 'function') {
+      throw new Error('EventSource wird nicht unterstützt');
+    }
+    const data = await this.client.makeRequest('/health');
+    console.log('Server health check successful:', data);
+  }
+
+  send(endpoint, data, method = 'POST') {
+    return this.client.makeRequest(endpoint, data, method);
+  }
+
+  start() {
+    this.stop();
+    this.failures = 0;
+    const client = this.client;
+    const params = new URLSearchParams({ roomId: client.currentRoomId, sessionId: client.sessionId });
+    if (client.lastSeq !== null) {
+      params.set('afterSeq', client.lastSeq);
+    }
+
+    const eventSource = new EventSource(`${client.serverUrl}/stream?${params}`);
+    this.eventSource = eventSource;
+
+    eventSource.onmessage = (event) => {
+      this.failures = 0;
+      const message = JSON.parse(event.data);
+      client.lastSeq = message.seq;
+      client.handleMessage(message);
+    };
+
+    eventSource.addEventListener('snapshot', (event) => {
+      this.failures = 0;
+      const snapshot = JSON.parse(event.data);
+      client.lastSeq = snapshot.seq;
+      client.applySnapshot(snapshot);
+    });
+
+    // Raum oder Sitzung existiert nicht mehr
+    eventSource.addEventListener('room-error', (event) => {
+      const payload = JSON.parse(event.data);
+      const error = new Error(payload.error);
+      error.code = payload.code;
+      this.stop();
+      client.handleRoomLost(error);
+    });
+
+    // Endliche Antworten (Netlify) lösen hier jedes Mal ein Wiederverbinden aus;
+    // erst wenn der Browser aufgibt oder es dauerhaft scheitert, zurück zum Polling
+    eventSource.onerror = () => {
+      this.failures++;
+      if (eventSource.readyState === EventSource.CLOSED || this.failures > 5) {
+        client.fallbackToPolling('Stream-Verbindung verloren');
+      }
+    };
+  }
+
+  stop() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+  }
+
+  close() {
+    this.stop();
+  }
+}
+
+// WebSocket gegen sync-server.js: API-Aufrufe laufen über das Socket-Event
+// 'api-request', neue Raum-Nachrichten kommen sofort als 'room-message'
+class SocketTransport {
+  constructor(client, socketUrl) {
+    this.client = client;
+    this.socketUrl = socketUrl;
+    this.name = 'websocket';
+    this.socket = null;
+    this.requestTimeout = 10000;
+  }
+
+  // Socket.IO-Client vom Server nachladen, falls die Seite ihn nicht eingebunden hat
+  loadClientLibrary() {
+    if (typeof io === 'function') return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = `${this.socketUrl}/socket.io/socket.io.js`;
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error('Socket.IO-Client konnte nicht geladen werden'));
+      document.head.appendChild(script);
+    });
+  }
+
+  async connect() {
+    await this.loadClientLibrary();
+
+    await new Promise((resolve, reject) => {
+      const socket = io(this.socketUrl, {
+        transports: ['websocket'],
+        reconnectionAttempts: 5,
+        timeout: 4000
+      });
+
+      socket.once('connect', () => {
+        this.socket = socket;
+        resolve();
+      });
+      socket.once('connect_error', (error) => {
+        socket.close();
+        reject(error);
+      });
+    });
+
+    this.socket.on('room-message', (message) => {
+      // Sequenznummer mitführen, damit der Catch-up nach einem Reconnect nichts doppelt liefert
+      this.client.lastSeq = message.seq;
+      this.client.handleMessage(message);
+    });
+
+    // Nach einem Reconnect Sitzung neu binden und Verpasstes nachholen
+    // ('connect' kommt bei jedem erneuten Verbindungsaufbau des Sockets)
+    this.socket.on('connect', () => {
+      console.log('WebSocket reconnected');
+      this.client.rebindSession()
+        .then(() => this.client.pollOnce())
+        .catch(error => console.error('Catch-up after reconnect failed:', error));
+    });
+
+    // Server dauerhaft weg - auf HTTP-Polling zurückfallen
+    this.socket.io.on('reconnect_failed', () => {
+      this.client.fallbackToPolling('WebSocket-Verbindung verloren');
+    });
+  }
+
+  send(endpoint, data, method = 'POST') {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.socket.connected) {
+        reject(new Error('WebSocket nicht verbunden'));
+        return;
+      }
+
+      this.socket.timeout(this.requestTimeout).emit('api-request', { method, path: endpoint, body: data }, (timeoutError, response) => {
+        if (timeoutError) {
+          reject(new Error(`Keine Antwort auf ${endpoint}`));
+        } else if (response.success === false) {
+          const error = new Error(response.error);
+          error.code = response.code || null;
+          reject(error);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  // Nachrichten werden gepusht - einmal abholen wie beim Polling, danach nur noch Push
+  start() {
+    this.client.pollOnce().catch(error => console.error('Initial poll failed:', error));
+  }
+
+  stop() {}
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+// localStorage-Schlüssel für { roomId, sessionId, resumeToken } der aktuellen Sitzung
+const SYNC_SESSION_STORAGE_KEY = 'ddd-sync-session';
+
+// Wie MAX_HISTORY auf dem Server
+const MAX_HISTORY_ENTRIES = 200;
+
 class DDDSyncClient {
-  constructor(serverUrl = null) {
+  // options.transport: 'auto' (Standard) | 'polling' | 'sse' | 'websocket'
+  // options.socketUrl: Adresse von sync-server.js (ohne diese nur Polling)
+  constructor(serverUrl = null, options = {}) {
+    const config = { ...(typeof window !== 'undefined' && window.DDD_SYNC_CONFIG), ...options };
+    this.transportPreference = config.transport || 'auto';
+    this.socketUrl = config.socketUrl || null;
+
     // Automatische Server-URL Erkennung für Netlify Functions
     if (!serverUrl) {
-      if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+      if (this.socketUrl) {
+        // HTTP-Endpunkte von sync-server.js (Fallback für den WebSocket)
+        this.serverUrl = `${this.socketUrl}/api/sync`;
+      } else if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
         this.serverUrl = 'http://localhost:8888/.netlify/functions/sync';
       } else {
         this.serverUrl = `https://ddd-dice-sync.netlify.app/.netlify/functions/sync`;
@@ -13,20 +288,47 @@ class DDDSyncClient {
     }
     
     this.isConnected = false;
+    this.transport = null;
     this.currentRoomId = null;
     this.sessionId = null;
+    this.resumeToken = null; // Berechtigt zum Wiederaufnehmen der Sitzung (/resume)
+    this.resumePromise = null;
     this.participantCount = 0;
     this.activePlayerCount = 0;
-    this.pollInterval = null;
-    this.pollDelay = 2000; // 2 Sekunden
-    this.lastPollTimestamp = null;
+    this.lastSeq = null; // Sequenznummer der zuletzt verarbeiteten Raum-Nachricht
+    this.nextRollHash = null; // Vom Server zugesagter Hash des nächsten Wurfs
+    this.hostSessionId = null;
+    this.roomLocked = false;
+    this.controlPolicy = 'anyone'; // 'anyone' | 'host' | 'active-player'
+    this.participants = []; // [{ sessionId, joinedAt, playerNames }]
+    this.ownPlayers = [];
+    this.enforceTurns = false;
+    this.autoAdvance = false;
+    this.rerollBudget = 2; // Nachwürfe pro Wurf und Zug, 0 = aus
+    this.autoTimer = false; // Timer startet mit jedem Wurf
+    this.timerDuration = 60;
+    this.timerExpiry = 'warn'; // 'warn' | 'end-turn' | 'penalty'
+    this.turn = null; // { order, current: { sessionId, playerId, name }, number, rerolls }
+    this.rollHistory = []; // [{ number, values, manual, sessionId, playerName, turnNumber, timestamp }]
+    this.ruleset = null; // Regelwerk des Raums (dice-math.js), null außerhalb eines Raums
+    this.rollStats = null; // Laufende Wurfstatistik des Raums (roll-stats.js)
+    this.clockOffset = 0; // Serveruhr minus eigene Uhr in ms (syncClock)
+    this.clockRoundTrip = null; // Laufzeit der Messung, aus der clockOffset stammt
     
     // Callbacks
     this.onStatusChange = null;
     this.onRoomUpdate = null;
     this.onDiceReceived = null;
-    this.onTimerSync = null;
+    this.onDiceRerolled = null; // Nachwurf einzelner Würfel (values, indices, info)
+    this.onBlackDie = null; // Schwarzer Würfel eingesetzt (result, info)
+    this.onTimerSync = null; // (timerState, { action, expiry, player })
     this.onPlayersReceived = null; // NEU für Spieler-Updates
+    this.onSessionResumed = null; // Eigene Spieler nach Wiederaufnahme der Sitzung
+    this.onRoomSettings = null; // Host, Sperre, Steuerungsrechte, Teilnehmerliste
+    this.onTurnUpdate = null; // Zugreihenfolge / wer ist am Zug
+    this.onHistoryUpdate = null; // Wurf-Verlauf des Raums
+    this.onRollStatsUpdate = null; // Wurfstatistik des Raums
+    this.onRulesetChange = null; // Regelwerk des Raums (null = Raum verlassen)
     this.onError = null;
     
     console.log('DDD Netlify Sync Client initialized with URL:', this.serverUrl);
@@ -41,21 +343,15 @@ class DDDSyncClient {
     this.updateStatus('connecting', 'Teste Serververbindung...');
     
     try {
-      const response = await fetch(this.serverUrl + '/health', {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        console.log('Server health check successful:', data);
-        this.isConnected = true;
-        this.updateStatus('online', 'Bereit für Synchronisation');
-      } else {
-        const errorText = await response.text();
-        throw new Error(`Server responded with ${response.status}: ${errorText}`);
+      const transport = await this.selectTransport();
+      this.setTransport(transport);
+      this.isConnected = true;
+      this.updateStatus('online', 'Bereit für Synchronisation');
+      this.syncClock().catch(error => console.warn('Clock sync failed:', error));
+
+      // Nach einem Reload in den vorherigen Raum zurückkehren
+      if (!this.currentRoomId && this.loadSavedSession()) {
+        await this.resumeSession();
       }
     } catch (error) {
       console.error('Server connection test failed:', error);
@@ -85,7 +381,12 @@ class DDDSyncClient {
       const response = await fetch(this.serverUrl + endpoint, options);
       
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // Der Server liefert { code, error } - Code für die Fehlerbehandlung durchreichen
+        const errorBody = await response.json().catch(() => ({}));
+        const error = new Error(errorBody.error || `HTTP ${response.status}: ${response.statusText}`);
+        error.code = errorBody.code || null;
+        error.status = response.status;
+        throw error;
       }
 
       return await response.json();
@@ -95,57 +396,290 @@ class DDDSyncClient {
     }
   }
 
-  startPolling() {
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-    }
+  // Reihenfolge: WebSocket (wenn ein Socket-Server konfiguriert ist), SSE, Polling
+  async selectTransport() {
+    const preference = this.transportPreference;
 
-    this.pollInterval = setInterval(async () => {
-      if (!this.currentRoomId || !this.sessionId) return;
+    if ((preference === 'auto' || preference === 'websocket') && this.socketUrl) {
+      const socketTransport = new SocketTransport(this, this.socketUrl);
+      try {
+        await socketTransport.connect();
+        return socketTransport;
+      } catch (error) {
+        console.warn('WebSocket nicht verfügbar:', error.message);
+        socketTransport.close();
+      }
+    }
 
+    if (preference === 'auto' || preference === 'sse') {
+      const sseTransport = new SseTransport(this);
       try {
-        const response = await this.makeRequest('/poll', {
-          roomId: this.currentRoomId,
-          sessionId: this.sessionId,
-          since: this.lastPollTimestamp
-        }, 'POST');
-
-        if (response.success) {
-          // Aktualisiere Teilnehmerzahl und aktive Spieler
-          if (response.participantCount !== this.participantCount || 
-              response.activePlayerCount !== this.activePlayerCount) {
-            this.participantCount = response.participantCount;
-            this.activePlayerCount = response.activePlayerCount;
-            this.updateRoomInfo();
-          }
-
-          // Verarbeite neue Nachrichten
-          response.messages.forEach(message => {
-            this.handleMessage(message);
-          });
-
-          // Spielerdaten verarbeiten (wenn vorhanden und verändert)
-          if (response.players && this.onPlayersReceived) {
-            this.onPlayersReceived(response.players);
-          }
-
-          this.lastPollTimestamp = response.timestamp;
-          
-          // Bei erfolgreicher Antwort Polling-Delay zurücksetzen
-          this.pollDelay = 2000;
-        }
+        await sseTransport.connect();
+        return sseTransport;
       } catch (error) {
-        console.error('Polling error:', error);
-        // Bei Fehlern weniger häufig pollen
-        this.pollDelay = Math.min(this.pollDelay * 1.5, 10000); // Max 10 Sekunden
+        console.warn('SSE nicht verfügbar:', error.message);
       }
-    }, this.pollDelay);
+    }
+
+    const pollingTransport = new PollingTransport(this);
+    await pollingTransport.connect();
+    return pollingTransport;
+  }
+
+  setTransport(transport) {
+    if (this.transport && this.transport !== transport) {
+      this.transport.close();
+    }
+    this.transport = transport;
+    console.log('Using transport:', transport.name);
+
+    if (this.currentRoomId) {
+      transport.start();
+    }
+  }
+
+  async fallbackToPolling(reason) {
+    console.warn('Falling back to polling:', reason);
+    this.updateStatus('connecting', reason + ' - wechsle zu Polling...');
+
+    try {
+      const pollingTransport = new PollingTransport(this);
+      await pollingTransport.connect();
+      this.setTransport(pollingTransport);
+      this.updateStatus('online', this.currentRoomId ? `Raum ${this.currentRoomId} (Polling)` : 'Bereit für Synchronisation');
+    } catch (error) {
+      this.isConnected = false;
+      this.updateStatus('offline', 'Server nicht erreichbar');
+      this.handleError('Server nicht verfügbar: ' + error.message);
+    }
+  }
+
+  send(endpoint, data, method = 'POST') {
+    if (!this.transport) {
+      return Promise.reject(new Error('Nicht mit Server verbunden'));
+    }
+    return this.transport.send(endpoint, data, method);
+  }
+
+  // Einmal Nachrichten und Raumzustand abholen
+  async pollOnce() {
+    if (!this.currentRoomId || !this.sessionId) return;
+
+    const response = await this.send('/poll', {
+      roomId: this.currentRoomId,
+      sessionId: this.sessionId,
+      afterSeq: this.lastSeq
+    });
+
+    if (response.success) {
+      // Verarbeite neue Nachrichten
+      response.messages.forEach(message => {
+        this.handleMessage(message);
+      });
+
+      this.applySnapshot(response);
+      this.lastSeq = response.seq;
+    }
+  }
+
+  // Raumzustand aus /poll bzw. dem 'snapshot'-Event des Streams übernehmen
+  applySnapshot(snapshot) {
+    // Zu weit zurück (Nachrichten schon verworfen) - Zustand komplett übernehmen
+    if (snapshot.resync) {
+      console.warn(`Resync: Nachrichten nach Seq ${this.lastSeq} nicht mehr verfügbar`);
+      this.applyRoomState(snapshot);
+    }
+
+    // Aktualisiere Teilnehmerzahl und aktive Spieler
+    if (snapshot.participantCount !== this.participantCount || 
+        snapshot.activePlayerCount !== this.activePlayerCount) {
+      this.participantCount = snapshot.participantCount;
+      this.activePlayerCount = snapshot.activePlayerCount;
+      this.updateRoomInfo();
+    }
+
+    if (snapshot.nextRollHash) {
+      this.nextRollHash = snapshot.nextRollHash;
+    }
+
+    this.applyRoomSettings(snapshot);
+    if (snapshot.players) {
+      this.trackOwnPlayers(snapshot.players);
+    }
+
+    // Spielerdaten verarbeiten (wenn vorhanden und verändert)
+    if (snapshot.players && this.onPlayersReceived) {
+      this.onPlayersReceived(snapshot.players);
+    }
+  }
+  // Serverstand der eigenen Spieler (isActive entscheidet bei 'active-player')
+  trackOwnPlayers(players) {
+    this.ownPlayers = players.filter(player => player.sessionId === this.sessionId);
+    this.applyRoomSettings({});
+  }
+
+  // Host-Einstellungen übernehmen; Callback nur bei tatsächlicher Änderung
+  applyRoomSettings(settings) {
+    const before = JSON.stringify(this.getRoomSettings());
+
+    if (settings.hostSessionId !== undefined) this.hostSessionId = settings.hostSessionId;
+    if (settings.locked !== undefined) this.roomLocked = settings.locked;
+    if (settings.controlPolicy !== undefined) this.controlPolicy = settings.controlPolicy;
+    if (settings.participants !== undefined) this.participants = settings.participants;
+    if (settings.enforceTurns !== undefined) this.enforceTurns = settings.enforceTurns;
+    if (settings.autoAdvance !== undefined) this.autoAdvance = settings.autoAdvance;
+    if (settings.rerollBudget !== undefined) this.rerollBudget = settings.rerollBudget;
+    if (settings.autoTimer !== undefined) this.autoTimer = settings.autoTimer;
+    if (settings.timerDuration !== undefined) this.timerDuration = settings.timerDuration;
+    if (settings.timerExpiry !== undefined) this.timerExpiry = settings.timerExpiry;
+    if (settings.turn !== undefined) this.applyTurn(settings.turn);
+    if (settings.ruleset !== undefined) this.applyRuleset(settings.ruleset);
+
+    if (JSON.stringify(this.getRoomSettings()) !== before && this.onRoomSettings) {
+      this.onRoomSettings(this.getRoomSettings());
+    }
+  }
+
+  getRoomSettings() {
+    return {
+      hostSessionId: this.hostSessionId,
+      isHost: this.isHost(),
+      locked: this.roomLocked,
+      controlPolicy: this.controlPolicy,
+      canControl: this.canControl(),
+      enforceTurns: this.enforceTurns,
+      autoAdvance: this.autoAdvance,
+      rerollBudget: this.rerollBudget,
+      autoTimer: this.autoTimer,
+      timerDuration: this.timerDuration,
+      timerExpiry: this.timerExpiry,
+      ruleset: this.ruleset,
+      participants: this.participants
+    };
+  }
+
+  applyTurn(turn) {
+    if (JSON.stringify(turn) === JSON.stringify(this.turn)) return;
+    this.turn = turn;
+    if (this.onTurnUpdate) {
+      this.onTurnUpdate(turn);
+    }
+  }
+
+  // Zähler beginnt mit jedem vollen Wurf und Zugwechsel neu (turn.rerolls)
+  getRerollsLeft() {
+    const used = (this.turn && this.turn.rerolls) || 0;
+    return Math.max(this.rerollBudget - used, 0);
+  }
+
+  // Ohne Zugreihenfolge (keine aktiven Spieler) ist jede Sitzung "am Zug"
+  isMyTurn() {
+    return !this.turn || !this.turn.current || this.turn.current.sessionId === this.sessionId;
+  }
+
+  // Würfeln: Steuerungsregel und - falls erzwungen - Zugreihenfolge
+  canRoll() {
+    return this.canControl() && (!this.enforceTurns || this.isMyTurn());
+  }
+
+  async endTurn() {
+    const response = await this.send('/end-turn', {
+      roomId: this.currentRoomId,
+      sessionId: this.sessionId,
+      resumeToken: this.resumeToken
+    });
+    this.applyTurn(response.turn);
+    return response;
+  }
+
+  isHost() {
+    return !!this.sessionId && this.sessionId === this.hostSessionId;
+  }
+
+  // Spiegelt Room.canControl auf dem Server - der Server entscheidet verbindlich
+  canControl() {
+    if (!this.currentRoomId) return true;
+    switch (this.controlPolicy) {
+      case 'host':
+        return this.isHost();
+      case 'active-player':
+        return this.isHost() || this.ownPlayers.some(player => player.isActive);
+      default:
+        return true;
+    }
+  }
+
+  // Würfel, Timer und Spieler aus dem Raumzustand übernehmen (Beitritt, Resync)
+  applyRoomState(state) {
+    if (state.currentDiceValues && this.onDiceReceived) {
+      setTimeout(() => {
+        this.onDiceReceived(state.currentDiceValues, { blackDiceValues: state.blackDiceValues || [] });
+      }, 100);
+    }
+    if (state.timerState && this.onTimerSync) {
+      setTimeout(() => {
+        this.onTimerSync(state.timerState);
+      }, 100);
+    }
+    if (state.players && this.onPlayersReceived) {
+      setTimeout(() => {
+        this.onPlayersReceived(state.players);
+      }, 200);
+    }
+    this.loadHistory().catch(error => console.error('Loading roll history failed:', error));
+  }
+
+  // Kompletten Wurf-Verlauf des Raums laden (Beitritt, Resync)
+  async loadHistory() {
+    if (!this.currentRoomId) return;
+
+    const response = await this.send(`/room/${this.currentRoomId}/history`, null, 'GET');
+    this.setRollStats(response.stats || null);
+    this.setHistory(response.history);
+  }
+
+  setHistory(entries) {
+    this.rollHistory = entries.slice().sort((a, b) => a.number - b.number).slice(-MAX_HISTORY_ENTRIES);
+    if (this.onHistoryUpdate) {
+      this.onHistoryUpdate(this.rollHistory);
+    }
+  }
+
+  // Neue Würfe einsortieren - doppelte (z.B. nach Resync) werden ignoriert
+  addHistoryEntries(entries) {
+    const known = new Set(this.rollHistory.map(entry => entry.number));
+    const added = entries.filter(entry => !known.has(entry.number));
+    if (added.length > 0) {
+      this.setHistory(this.rollHistory.concat(added));
+    }
+
+    // Statistik wie der Server weiterzählen (bereits gezählte Würfe überspringt addRoll)
+    if (added.length > 0 && typeof RollStats !== 'undefined') {
+      let stats = this.rollStats;
+      added.slice().sort((a, b) => a.number - b.number).forEach(entry => {
+        stats = RollStats.addRoll(stats, entry);
+      });
+      this.setRollStats(stats);
+    }
+  }
+
+  setRollStats(stats) {
+    this.rollStats = stats;
+    if (this.onRollStatsUpdate) {
+      this.onRollStatsUpdate(stats);
+    }
+  }
+
+
+  startReceiving() {
+    if (this.transport) {
+      this.transport.start();
+    }
   }
 
-  stopPolling() {
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-      this.pollInterval = null;
+  stopReceiving() {
+    if (this.transport) {
+      this.transport.stop();
     }
   }
 
@@ -155,19 +689,48 @@ handleMessage(message) {
 
   switch (message.type) {
     case 'dice-roll':
-      if (this.onDiceReceived) {
-        this.onDiceReceived(message.values);
-      }
-      this.showNotification('🎲 Synchronisierter Wurf erhalten!');
+      this.handleDiceRoll(message);
+      break;
+
+    case 'dice-reroll':
+      this.handleDiceReroll(message);
+      break;
+
+    case 'black-die':
+      this.handleBlackDie(message);
       break;
 
     case 'timer-sync':
       if (this.onTimerSync) {
-        this.onTimerSync(message.timerState);
+        this.onTimerSync(message.timerState, { action: message.action, expiry: message.expiry, player: message.player });
+      }
+      break;
+
+    case 'participants-update':
+      this.participantCount = message.participantCount;
+      this.activePlayerCount = message.activePlayerCount;
+      this.updateRoomInfo();
+      this.applyRoomSettings(message);
+      break;
+
+    case 'room-settings':
+      this.applyRoomSettings(message);
+      break;
+
+    case 'turn-update':
+      this.applyTurn(message.turn);
+      break;
+
+    case 'session-kicked':
+      if (message.targetSession === this.sessionId) {
+        const error = new Error('Vom Host aus dem Raum entfernt');
+        error.code = 'SESSION_KICKED';
+        this.handleRoomLost(error);
       }
       break;
 
     case 'players-update':
+      this.trackOwnPlayers(message.players);
       if (this.onPlayersReceived) {
         console.log('Received players-update message with', message.players.length, 'players');
         this.onPlayersReceived(message.players);
@@ -182,22 +745,118 @@ handleMessage(message) {
       console.log('Unknown message type:', message.type);
   }
 }
+
+  // Serverwürfe gegen den vorher veröffentlichten Hash prüfen
+  async handleDiceRoll(message) {
+    // Erwarteten Hash sofort übernehmen - mehrere Würfe pro Poll werden parallel geprüft
+    const expectedHash = this.nextRollHash;
+    if (message.nextRollHash) {
+      this.nextRollHash = message.nextRollHash;
+    }
+
+    let verified = null;
+    if (!message.manual && message.proof && typeof FairRoll !== 'undefined') {
+      verified = await FairRoll.verifyRoll(message.proof, message.values, expectedHash);
+      if (!verified) {
+        console.warn('Roll verification failed:', message);
+      }
+    }
+
+    if (this.onDiceReceived) {
+      this.onDiceReceived(message.values, { manual: !!message.manual, verified });
+    }
+    if (message.roll) {
+      this.addHistoryEntries([message.roll]);
+    }
+
+    if (message.manual) {
+      this.showNotification('✋ Manueller Wurf erhalten!');
+    } else if (verified === false) {
+      this.showNotification('⚠️ Wurf konnte nicht verifiziert werden!');
+    } else {
+      this.showNotification('🎲 Synchronisierter Wurf erhalten!');
+    }
+  }
+
+  // Nachwurf: der Beweis deckt nur die neu gewürfelten Werte ab
+  async handleDiceReroll(message) {
+    const expectedHash = this.nextRollHash;
+    if (message.nextRollHash) {
+      this.nextRollHash = message.nextRollHash;
+    }
+
+    let verified = null;
+    if (message.proof && typeof FairRoll !== 'undefined') {
+      verified = await FairRoll.verifyRoll(message.proof, message.rolled, expectedHash);
+      if (!verified) {
+        console.warn('Reroll verification failed:', message);
+      }
+    }
+
+    if (this.onDiceRerolled) {
+      this.onDiceRerolled(message.values, message.indices, { manual: false, verified });
+    } else if (this.onDiceReceived) {
+      this.onDiceReceived(message.values, { manual: false, verified });
+    }
+    if (message.roll) {
+      this.addHistoryEntries([message.roll]);
+    }
+
+    this.showNotification(verified === false
+      ? '⚠️ Nachwurf konnte nicht verifiziert werden!'
+      : '🔁 Nachwurf erhalten!');
+  }
+
+  async handleBlackDie(message) {
+    const expectedHash = this.nextRollHash;
+    if (message.nextRollHash) {
+      this.nextRollHash = message.nextRollHash;
+    }
+
+    let verified = null;
+    if (message.proof && typeof FairRoll !== 'undefined') {
+      verified = await FairRoll.verifyRoll(message.proof, [message.rolled], expectedHash);
+      if (!verified) {
+        console.warn('Black die verification failed:', message);
+      }
+    }
+
+    if (this.onBlackDie) {
+      this.onBlackDie(message, { manual: false, verified });
+    }
+    if (message.roll) {
+      this.addHistoryEntries([message.roll]);
+    }
+
+    this.showNotification(verified === false
+      ? '⚠️ Schwarzer Würfel konnte nicht verifiziert werden!'
+      : `🖤 ${(message.roll && message.roll.blackDie.playerName) || 'Ein Spieler'} setzt einen schwarzen Würfel ein`);
+  }
+
   // Öffentliche API
-  async createRoom() {
+  // ruleset: Regelwerk für den neuen Raum (sonst der Standard des Servers)
+  async createRoom(ruleset = null) {
     if (!this.isConnected) {
       throw new Error('Nicht mit Server verbunden');
     }
 
     try {
-      const response = await this.makeRequest('/create-room', {}, 'POST');
+      const response = await this.send('/create-room', ruleset ? { ruleset } : {});
       
       if (response.success) {
         this.currentRoomId = response.roomId;
         this.sessionId = response.sessionId;
+        this.resumeToken = response.resumeToken;
         this.participantCount = response.participantCount;
         this.activePlayerCount = response.activePlayerCount || 0;
+        this.nextRollHash = response.nextRollHash || null;
+        this.lastSeq = response.seq;
+        this.setHistory([]);
+        this.setRollStats(null);
+        this.saveSession();
+        this.applyRoomSettings(response);
         this.updateStatus('online', `Raum ${response.roomId} erstellt`);
-        this.startPolling();
+        this.startReceiving();
         return response;
       } else {
         throw new Error(response.error);
@@ -213,36 +872,34 @@ handleMessage(message) {
       throw new Error('Nicht mit Server verbunden');
     }
 
+    // Gleicher Raum wie vor dem Reload: Sitzung wieder aufnehmen statt neu beitreten
+    const saved = this.loadSavedSession();
+    if (saved && saved.roomId === roomId.toUpperCase()) {
+      const resumed = await this.resumeSession();
+      if (resumed) return resumed;
+    }
+
     try {
-      const response = await this.makeRequest('/join-room', {
+      const response = await this.send('/join-room', {
         roomId: roomId.toUpperCase()
-      }, 'POST');
+      });
       
       if (response.success) {
         this.currentRoomId = response.roomId;
         this.sessionId = response.sessionId;
+        this.resumeToken = response.resumeToken;
         this.participantCount = response.participantCount;
         this.activePlayerCount = response.activePlayerCount || 0;
+        this.nextRollHash = response.nextRollHash || null;
+        this.lastSeq = response.seq;
+        this.saveSession();
+        this.applyRoomSettings(response);
         this.updateStatus('online', `Raum ${response.roomId} beigetreten`);
         
         // Synchronisiere aktuellen Zustand
-        if (response.currentDiceValues && this.onDiceReceived) {
-          setTimeout(() => {
-            this.onDiceReceived(response.currentDiceValues);
-          }, 100);
-        }
-        if (response.timerState && this.onTimerSync) {
-          setTimeout(() => {
-            this.onTimerSync(response.timerState);
-          }, 100);
-        }
-        if (response.players && this.onPlayersReceived) {
-          setTimeout(() => {
-            this.onPlayersReceived(response.players);
-          }, 200);
-        }
+        this.applyRoomState(response);
         
-        this.startPolling();
+        this.startReceiving();
         return response;
       } else {
         throw new Error(response.error);
@@ -256,24 +913,289 @@ handleMessage(message) {
   async leaveRoom() {
     if (this.currentRoomId && this.sessionId) {
       try {
-        await this.makeRequest('/leave-room', {
+        await this.send('/leave-room', {
           roomId: this.currentRoomId,
-          sessionId: this.sessionId
-        }, 'POST');
+          sessionId: this.sessionId,
+          resumeToken: this.resumeToken
+        });
       } catch (error) {
         console.error('Leave room error:', error);
       }
     }
 
-    this.stopPolling();
+    this.stopReceiving();
+    this.clearSession();
     this.currentRoomId = null;
     this.sessionId = null;
+    this.resumeToken = null;
     this.participantCount = 0;
     this.activePlayerCount = 0;
-    this.lastPollTimestamp = null;
+    this.lastSeq = null;
+    this.nextRollHash = null;
+    this.resetRoomSettings();
     this.updateStatus('online', 'Bereit für Synchronisation');
   }
 
+  // Gespeicherte Sitzung wieder aufnehmen - liefert die Antwort oder null
+  resumeSession() {
+    if (!this.resumePromise) {
+      this.resumePromise = this.performResume().finally(() => {
+        this.resumePromise = null;
+      });
+    }
+    return this.resumePromise;
+  }
+
+  // Nach einem Socket-Reconnect die laufende Sitzung wieder an den Socket
+  // binden - der Server bindet nur bei create-room, join-room und resume
+  async rebindSession() {
+    if (!this.currentRoomId || !this.sessionId || !this.resumeToken) return;
+    await this.send('/resume', {
+      roomId: this.currentRoomId,
+      sessionId: this.sessionId,
+      resumeToken: this.resumeToken
+    });
+  }
+
+  async performResume() {
+    const saved = this.loadSavedSession();
+    if (!saved || !this.isConnected) return null;
+
+    this.updateStatus('connecting', `Kehre in Raum ${saved.roomId} zurück...`);
+
+    try {
+      const response = await this.send('/resume', saved);
+
+      this.currentRoomId = response.roomId;
+      this.sessionId = response.sessionId;
+      this.resumeToken = response.resumeToken;
+      this.participantCount = response.participantCount;
+      this.activePlayerCount = response.activePlayerCount || 0;
+      this.nextRollHash = response.nextRollHash || null;
+      this.lastSeq = response.seq;
+      this.saveSession();
+      this.applyRoomSettings(response);
+      this.trackOwnPlayers(response.players || []);
+
+      // Eigene Spieler zuerst wiederherstellen, sonst legt die Seite einen neuen an
+      const ownPlayers = (response.players || []).filter(p => p.sessionId === response.sessionId);
+      if (this.onSessionResumed) {
+        this.onSessionResumed(ownPlayers);
+      }
+
+      this.updateStatus('online', `Raum ${response.roomId} wieder verbunden`);
+      this.updateRoomInfo();
+      this.applyRoomState(response);
+      this.startReceiving();
+      return response;
+    } catch (error) {
+      console.warn('Resume failed:', error.message);
+      this.clearSession();
+      this.updateStatus('online', 'Bereit für Synchronisation');
+      return null;
+    }
+  }
+
+  saveSession() {
+    try {
+      localStorage.setItem(SYNC_SESSION_STORAGE_KEY, JSON.stringify({
+        roomId: this.currentRoomId,
+        sessionId: this.sessionId,
+        resumeToken: this.resumeToken
+      }));
+    } catch (error) {
+      console.warn('Sitzung konnte nicht gespeichert werden:', error);
+    }
+  }
+
+  loadSavedSession() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SYNC_SESSION_STORAGE_KEY));
+      return saved && saved.roomId && saved.sessionId && saved.resumeToken ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  clearSession() {
+    try {
+      localStorage.removeItem(SYNC_SESSION_STORAGE_KEY);
+    } catch (error) {
+      // localStorage nicht verfügbar - nichts zu löschen
+    }
+  }
+
+  resetRoomSettings() {
+    this.hostSessionId = null;
+    this.roomLocked = false;
+    this.controlPolicy = 'anyone';
+    this.participants = [];
+    this.ownPlayers = [];
+    this.enforceTurns = false;
+    this.autoAdvance = false;
+    this.rerollBudget = 2;
+    this.autoTimer = false;
+    this.timerDuration = 60;
+    this.timerExpiry = 'warn';
+    this.applyTurn(null);
+    this.applyRuleset(null);
+    this.setRollStats(null);
+  }
+
+  applyRuleset(ruleset) {
+    if (JSON.stringify(ruleset) === JSON.stringify(this.ruleset)) return;
+    this.ruleset = ruleset;
+    if (this.onRulesetChange) {
+      this.onRulesetChange(ruleset);
+    }
+  }
+
+  // Host: Rolle an eine andere Sitzung übergeben
+  async transferHost(targetSessionId) {
+    const response = await this.send('/transfer-host', {
+      roomId: this.currentRoomId,
+      sessionId: this.sessionId,
+      resumeToken: this.resumeToken,
+      targetSessionId
+    });
+    this.applyRoomSettings(response);
+    return response;
+  }
+
+  // Host: Sitzung aus dem Raum entfernen
+  async kickSession(targetSessionId) {
+    const response = await this.send('/kick', {
+      roomId: this.currentRoomId,
+      sessionId: this.sessionId,
+      resumeToken: this.resumeToken,
+      targetSessionId
+    });
+    this.applyRoomSettings({
+      participants: this.participants.filter(p => p.sessionId !== targetSessionId)
+    });
+    return response;
+  }
+
+  // Host: { locked?, controlPolicy?, enforceTurns?, autoAdvance?, rerollBudget?,
+  //         autoTimer?, timerDuration?, timerExpiry?, ruleset? }
+  async updateRoomSettings(settings) {
+    const response = await this.send('/room-settings', {
+      roomId: this.currentRoomId,
+      sessionId: this.sessionId,
+      resumeToken: this.resumeToken,
+      settings
+    });
+    this.applyRoomSettings(response);
+    return response;
+  }
+
+  // Serverseitiger Wurf - liefert { values, proof, nextRollHash }
+  async requestRoll() {
+    if (!this.isConnected || !this.currentRoomId || !this.sessionId) {
+      throw new Error('Nicht mit einem Raum verbunden');
+    }
+
+    const clientSeed = typeof FairRoll !== 'undefined' ? FairRoll.createSeed().slice(0, 16) : '';
+    // Zugesagten Hash vor dem Request merken - ein Poll oder Stream-Snapshot
+    // während des Wartens überschreibt nextRollHash schon mit dem nächsten
+    const expectedHash = this.nextRollHash;
+    const response = await this.send('/roll', {
+      roomId: this.currentRoomId,
+      sessionId: this.sessionId,
+      resumeToken: this.resumeToken,
+      clientSeed
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    this.nextRollHash = response.nextRollHash;
+    if (response.turn) {
+      this.applyTurn(response.turn);
+    }
+    if (response.roll) {
+      this.addHistoryEntries([response.roll]);
+    }
+    if (typeof FairRoll !== 'undefined') {
+      response.verified = await FairRoll.verifyRoll(response.proof, response.values, expectedHash);
+    }
+    return response;
+  }
+
+  // Einzelne Würfel nachwürfeln - liefert { values, indices, rolled, proof, verified }
+  async requestReroll(indices) {
+    if (!this.isConnected || !this.currentRoomId || !this.sessionId) {
+      throw new Error('Nicht mit einem Raum verbunden');
+    }
+
+    const clientSeed = typeof FairRoll !== 'undefined' ? FairRoll.createSeed().slice(0, 16) : '';
+    const expectedHash = this.nextRollHash;
+    const response = await this.send('/reroll', {
+      roomId: this.currentRoomId,
+      sessionId: this.sessionId,
+      resumeToken: this.resumeToken,
+      indices,
+      clientSeed
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    this.nextRollHash = response.nextRollHash;
+    if (response.turn) {
+      this.applyTurn(response.turn);
+    }
+    if (response.roll) {
+      this.addHistoryEntries([response.roll]);
+    }
+    if (typeof FairRoll !== 'undefined') {
+      response.verified = await FairRoll.verifyRoll(response.proof, response.rolled, expectedHash);
+    }
+    return response;
+  }
+
+  // Schwarzen Würfel eines eigenen Spielers einsetzen ('add' oder 'reroll' an `index`) -
+  // liefert { action, index, values, blackDiceValues, rolled, proof, players, verified }
+  async requestBlackDie(playerId, action, index = null) {
+    if (!this.isConnected || !this.currentRoomId || !this.sessionId) {
+      throw new Error('Nicht mit einem Raum verbunden');
+    }
+
+    const clientSeed = typeof FairRoll !== 'undefined' ? FairRoll.createSeed().slice(0, 16) : '';
+    const expectedHash = this.nextRollHash;
+    const response = await this.send('/black-die', {
+      roomId: this.currentRoomId,
+      sessionId: this.sessionId,
+      resumeToken: this.resumeToken,
+      playerId,
+      action,
+      index,
+      clientSeed
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    this.nextRollHash = response.nextRollHash;
+    if (response.turn) {
+      this.applyTurn(response.turn);
+    }
+    if (response.players) {
+      this.trackOwnPlayers(response.players);
+    }
+    if (response.roll) {
+      this.addHistoryEntries([response.roll]);
+    }
+    if (typeof FairRoll !== 'undefined') {
+      response.verified = await FairRoll.verifyRoll(response.proof, [response.rolled], expectedHash);
+    }
+    return response;
+  }
+
+  // Manuell eingestellte Würfel übertragen (Server markiert sie als manuell)
   async syncDiceRoll(values) {
     if (!this.isConnected || !this.currentRoomId || !this.sessionId) {
       return;
@@ -281,38 +1203,55 @@ handleMessage(message) {
 
     try {
       console.log('Syncing dice roll:', values);
-      await this.makeRequest('/sync-dice', {
+      const response = await this.send('/sync-dice', {
         roomId: this.currentRoomId,
         sessionId: this.sessionId,
+        resumeToken: this.resumeToken,
         diceValues: values
-      }, 'POST');
+      });
+      if (response.roll) {
+        this.addHistoryEntries([response.roll]);
+      }
     } catch (error) {
       console.error('Sync dice roll failed:', error);
+      if (error.code === 'FORBIDDEN') {
+        this.handleError(error.message);
+      }
     }
   }
 
+  // timerState: { isRunning, duration }. Liefert den Timer mit der
+  // Startzeit des Servers, null bei Fehlern
   async syncTimer(timerState) {
     if (!this.isConnected || !this.currentRoomId || !this.sessionId) {
-      return;
+      return null;
     }
 
     try {
       console.log('Syncing timer state:', timerState);
-      await this.makeRequest('/sync-timer', {
+      const response = await this.send('/sync-timer', {
         roomId: this.currentRoomId,
         sessionId: this.sessionId,
+        resumeToken: this.resumeToken,
         timerState
-      }, 'POST');
+      });
+      return response.timerState || null;
     } catch (error) {
       console.error('Sync timer failed:', error);
+      if (error.code === 'FORBIDDEN') {
+        this.handleError(error.message);
+      }
+      return null;
     }
   }
 
   // NEU: Spieler synchronisieren
+// Liefert die eigenen Spieler mit den vom Server vergebenen ids (clientId =
+// id beim Client) oder null
 async syncPlayers(playersData) {
   if (!this.isConnected || !this.currentRoomId || !this.sessionId) {
     console.warn('Cannot sync players - not connected or no room');
-    return;
+    return null;
   }
 
   try {
@@ -323,16 +1262,20 @@ async syncPlayers(playersData) {
       isActive: p.isActive
     })));
     
-    const response = await this.makeRequest('/sync-players', {
+    const response = await this.send('/sync-players', {
       roomId: this.currentRoomId,
       sessionId: this.sessionId,
+      resumeToken: this.resumeToken,
       players: playersData  // Array von Spielern für diese Session
-    }, 'POST');
+    });
     
     if (response.success) {
       this.participantCount = response.participantCount;
       this.activePlayerCount = response.activePlayerCount;
       this.updateRoomInfo();
+      if (response.players) {
+        this.trackOwnPlayers(response.players);
+      }
       
       console.log('Player sync successful. Updated counts:', {
         participants: response.participantCount,
@@ -349,18 +1292,72 @@ async syncPlayers(playersData) {
           this.onPlayersReceived(response.players); // Aber alle Spieler senden für vollständige Synchronisation
         }
       }
+      return this.ownPlayers;
     } else {
       console.error('Player sync failed:', response.error || 'Unknown error');
     }
   } catch (error) {
     console.error('Sync players request failed:', error);
+    if (['INVALID_PLAYER', 'TREASURE_LIMIT', 'PLAYER_LIMIT', 'FORBIDDEN'].includes(error.code)) {
+      this.handleError(error.message);
+    }
   }
+  return null;
 }
-  ping() {
-    return this.testConnection();
+  // Abstand zur Serveruhr schätzen: Von mehreren /health-Abfragen zählt die
+  // mit der kürzesten Laufzeit, die Serverzeit liegt etwa in ihrer Mitte
+  async syncClock(samples = 3) {
+    this.clockRoundTrip = null;
+    for (let i = 0; i < samples; i++) {
+      await this.ping();
+    }
+    return this.clockOffset;
+  }
+
+  // Eine Messung; übernimmt den Abstand, wenn sie nicht langsamer war als die
+  // bisher beste. Liefert die Laufzeit in ms
+  async ping() {
+    const sentAt = Date.now();
+    const data = await this.send('/health', null, 'GET');
+    const receivedAt = Date.now();
+    const roundTrip = receivedAt - sentAt;
+
+    if (typeof data.serverTime === 'number' &&
+        (this.clockRoundTrip === null || roundTrip <= this.clockRoundTrip)) {
+      this.clockOffset = data.serverTime - (sentAt + receivedAt) / 2;
+      this.clockRoundTrip = roundTrip;
+    }
+    return roundTrip;
+  }
+
+  // Aktuelle Serverzeit in ms, Bezug für timerState.startedAt
+  serverNow() {
+    return Date.now() + this.clockOffset;
   }
 
   // Hilfsmethoden
+  async handleRoomLost(error) {
+    this.stopReceiving();
+
+    // Sitzung nach langem Verbindungsabbruch abgelaufen - erst wieder aufnehmen versuchen
+    if (error.code === 'SESSION_NOT_FOUND' && this.resumeToken && await this.resumeSession()) {
+      return;
+    }
+
+    this.clearSession();
+    this.currentRoomId = null;
+    this.sessionId = null;
+    this.resumeToken = null;
+    this.participantCount = 0;
+    this.activePlayerCount = 0;
+    this.lastSeq = null;
+    this.nextRollHash = null;
+    this.resetRoomSettings();
+    this.updateRoomInfo();
+    this.handleError(error.message);
+    this.updateStatus('online', 'Raumverbindung verloren');
+  }
+
   updateStatus(status, text) {
     console.log(`Status: ${status} - ${text}`);
     if (this.onStatusChange) {
@@ -439,7 +1436,10 @@ async syncPlayers(playersData) {
   }
 
   disconnect() {
-    this.stopPolling();
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
     this.isConnected = false;
     this.currentRoomId = null;
     this.sessionId = null;
@@ -456,12 +1456,17 @@ getDebugInfo() {
     sessionId: this.sessionId,
     participantCount: this.participantCount,
     activePlayerCount: this.activePlayerCount,
-    pollDelay: this.pollDelay,
-    isPolling: !!this.pollInterval,
-    lastPollTimestamp: this.lastPollTimestamp,
-    lastReceivedPlayers: this.lastReceivedPlayers ? this.lastReceivedPlayers.length : 0
+    transport: this.transport ? this.transport.name : null,
+    socketUrl: this.socketUrl,
+    pollDelay: this.transport && this.transport.pollDelay,
+    isPolling: !!(this.transport && this.transport.isActive),
+    lastSeq: this.lastSeq,
+    lastReceivedPlayers: this.lastReceivedPlayers ? this.lastReceivedPlayers.length : 0,
+    nextRollHash: this.nextRollHash,
+    ...this.getRoomSettings()
   };
 }
+}
 
 // Utility classes bleiben unverändert
 class QRCodeGenerator {
@@ -530,7 +1535,7 @@ class ClipboardHelper {
 
 // Export für Modul-Systeme
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { DDDSyncClient, QRCodeGenerator, URLHelper, ClipboardHelper };
+  module.exports = { DDDSyncClient, PollingTransport, SseTransport, SocketTransport, QRCodeGenerator, URLHelper, ClipboardHelper };
 }
 
 // Global verfügbar machen für Browser
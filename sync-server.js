@@ -1,8 +1,16 @@
 // sync-server.js - WebSocket Backend für DDD Würfelpaare Synchronisation
+//
+// Express + Socket.IO-Adapter der gemeinsamen Room-Engine (lib/room-engine.js).
+// Die HTTP-Endpunkte unter /api/sync entsprechen der Netlify Function,
+// Socket-Clients bekommen neue Raum-Nachrichten sofort als 'room-message'.
 const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
 const cors = require('cors');
+const { createRoomStore } = require('./lib/room-store');
+const { RoomEngine, RoomError, toErrorPayload } = require('./lib/room-engine');
+const { createSyncApi } = require('./lib/sync-api');
+const { STREAM_HEADERS, openStream, streamParams } = require('./lib/sync-stream');
 
 const app = express();
 const server = http.createServer(app);
@@ -14,65 +22,20 @@ const io = socketIO(server, {
 });
 
 const PORT = process.env.PORT || 3001;
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+const TIMER_CHECK_INTERVAL_MS = 1000;
 
-// Raum-Management
-const rooms = new Map();
-
-class Room {
-  constructor(id) {
-    this.id = id;
-    this.participants = new Set();
-    this.currentDiceValues = null;
-    this.timerState = {
-      isRunning: false,
-      remainingTime: 0,
-      duration: 60,
-      startTime: null
-    };
-    this.createdAt = new Date();
-  }
-
-  addParticipant(socketId, participantInfo) {
-    this.participants.add({
-      socketId,
-      ...participantInfo,
-      joinedAt: new Date()
-    });
-  }
-
-  removeParticipant(socketId) {
-    this.participants = new Set([...this.participants].filter(p => p.socketId !== socketId));
-  }
-
-  getParticipantCount() {
-    return this.participants.size;
-  }
+// 'api-request'-Pfade, nach denen der Socket an die Sitzung der Antwort gebunden wird
+const BINDING_PATHS = ['/create-room', '/join-room', '/resume'];
 
-  isEmpty() {
-    return this.participants.size === 0;
-  }
-
-  broadcast(io, event, data, excludeSocketId = null) {
-    this.participants.forEach(participant => {
-      if (participant.socketId !== excludeSocketId) {
-        io.to(participant.socketId).emit(event, data);
-      }
-    });
-  }
-}
+// Raum-Management
+const engine = new RoomEngine({ store: createRoomStore() });
+const syncApi = createSyncApi(engine);
 
-// Hilfsfunktionen
-function generateRoomId() {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
-}
-
-function cleanupEmptyRooms() {
-  for (const [roomId, room] of rooms) {
-    if (room.isEmpty() || (new Date() - room.createdAt) > 24 * 60 * 60 * 1000) { // 24h cleanup
-      rooms.delete(roomId);
-      console.log(`Cleaned up room: ${roomId}`);
-    }
-  }
+// Socket.IO-Raum für alle Sockets einer Sitzung (zum Ausschließen des Absenders)
+function sessionChannel(sessionId) {
+  return `session:${sessionId}`;
 }
 
 // Middleware
@@ -80,156 +43,193 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public')); // Für statische Dateien
 
-// REST API Endpoints
-app.get('/api/rooms/:roomId/info', (req, res) => {
-  const room = rooms.get(req.params.roomId);
-  if (!room) {
-    return res.status(404).json({ error: 'Room not found' });
-  }
-  
-  res.json({
-    id: room.id,
-    participantCount: room.getParticipantCount(),
-    timerState: room.timerState,
-    createdAt: room.createdAt
-  });
+// Server-Sent Events - offener Stream, Nachrichten kommen sofort
+app.get('/api/sync/stream', (req, res) => {
+  res.set({ ...STREAM_HEADERS, Connection: 'keep-alive' });
+  res.flushHeaders();
+  openStream(engine, streamParams(req.query, req.headers), res);
 });
 
-app.post('/api/rooms', (req, res) => {
-  let roomId;
-  do {
-    roomId = generateRoomId();
-  } while (rooms.has(roomId));
-  
-  const room = new Room(roomId);
-  rooms.set(roomId, room);
-  
-  res.json({
-    roomId,
-    joinUrl: `${req.protocol}://${req.get('host')}?room=${roomId}`
+// REST API - identisch zur Netlify Function
+app.use('/api/sync', async (req, res) => {
+  const result = await syncApi.handle({
+    method: req.method,
+    path: req.path === '/' ? '' : req.path,
+    body: req.body,
+    headers: {
+      ...req.headers,
+      origin: req.headers.origin || `${req.protocol}://${req.get('host')}`
+    }
   });
+  res.status(result.statusCode).json(result.body);
+});
+
+// Neue Raum-Nachrichten an alle anderen Sockets im Raum verteilen
+engine.on('message', (roomId, message) => {
+  const target = message.fromSession
+    ? io.to(roomId).except(sessionChannel(message.fromSession))
+    : io.to(roomId);
+
+  target.emit('room-message', message);
+
+  // Bisherige Event-Namen für bestehende Socket-Clients
+  if (message.type === 'dice-roll') {
+    target.emit('dice-roll-received', message);
+  } else if (message.type === 'timer-sync') {
+    target.emit('timer-sync-received', message.timerState);
+  } else if (message.type === 'session-kicked') {
+    // Entfernte Sitzung bekommt die Nachricht noch, danach keine Raum-Events mehr
+    io.in(sessionChannel(message.targetSession)).socketsLeave(roomId);
+  }
 });
 
 // WebSocket Verbindungshandling
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
-  
-  let currentRoom = null;
-  let participantInfo = {
-    id: socket.id,
+
+  const participantInfo = {
+    socketId: socket.id,
     userAgent: socket.handshake.headers['user-agent'] || 'Unknown',
     ip: socket.handshake.address
   };
 
-  // Raum erstellen
-  socket.on('create-room', (callback) => {
-    let roomId;
-    do {
-      roomId = generateRoomId();
-    } while (rooms.has(roomId));
-    
-    const room = new Room(roomId);
-    room.addParticipant(socket.id, participantInfo);
-    rooms.set(roomId, room);
-    currentRoom = room;
-    
-    console.log(`Room created: ${roomId} by ${socket.id}`);
-    
-    callback({
-      success: true,
-      roomId,
-      participantCount: room.getParticipantCount()
-    });
-  });
+  // socket.data.session = { roomId, sessionId, resumeToken, leaveOnDisconnect } solange der
+  // Socket in einem Raum ist. Sitzungen aus 'api-request' überleben einen
+  // Verbindungsabbruch (der Client bindet sich nach dem Reconnect neu) und
+  // laufen wie HTTP-Sitzungen erst über das Teilnehmer-Timeout ab.
+  socket.data.session = null;
 
-  // Raum beitreten
-  socket.on('join-room', (roomId, callback) => {
-    const room = rooms.get(roomId);
-    if (!room) {
-      return callback({
-        success: false,
-        error: 'Room not found'
-      });
+  function bind(roomId, sessionId, resumeToken, leaveOnDisconnect = true) {
+    unbind();
+    socket.data.session = { roomId, sessionId, resumeToken, leaveOnDisconnect };
+    socket.join(roomId);
+    socket.join(sessionChannel(sessionId));
+  }
+
+  function unbind() {
+    const session = socket.data.session;
+    if (!session) return null;
+
+    socket.data.session = null;
+    socket.leave(session.roomId);
+    socket.leave(sessionChannel(session.sessionId));
+    return session;
+  }
+
+  async function detach() {
+    const session = unbind();
+    if (!session) return;
+
+    await engine.leaveRoom(session.roomId, session.sessionId, session.resumeToken);
+    console.log(`${socket.id} left room: ${session.roomId}`);
+  }
+
+  function requireSession() {
+    if (!socket.data.session) {
+      throw new RoomError('SESSION_NOT_FOUND');
     }
-    
-    // Verlasse aktuellen Raum falls vorhanden
-    if (currentRoom) {
-      currentRoom.removeParticipant(socket.id);
-      currentRoom.broadcast(io, 'participant-left', {
-        participantCount: currentRoom.getParticipantCount()
-      }, socket.id);
+    return socket.data.session;
+  }
+
+  // Führt eine Engine-Operation aus und antwortet im Format der HTTP-API
+  function reply(callback, task) {
+    Promise.resolve()
+      .then(task)
+      .then(result => {
+        if (typeof callback === 'function') callback({ success: true, ...result });
+      })
+      .catch(error => {
+        if (!error.statusCode) console.error(`Socket error (${socket.id}):`, error);
+        if (typeof callback === 'function') callback(toErrorPayload(error));
+      });
+  }
+
+  // Raum erstellen - optional mit { ruleset } wie POST /create-room
+  socket.on('create-room', (options, callback) => {
+    if (typeof options === 'function') {
+      callback = options; // Ältere Clients schicken nur den Callback
+      options = {};
     }
-    
-    room.addParticipant(socket.id, participantInfo);
-    currentRoom = room;
-    
-    console.log(`${socket.id} joined room: ${roomId}`);
-    
-    // Benachrichtige andere Teilnehmer
-    room.broadcast(io, 'participant-joined', {
-      participantCount: room.getParticipantCount()
-    }, socket.id);
-    
-    callback({
-      success: true,
-      roomId,
-      participantCount: room.getParticipantCount(),
-      currentDiceValues: room.currentDiceValues,
-      timerState: room.timerState
+    const { ruleset } = options || {};
+    reply(callback, async () => {
+      await detach();
+      const result = await engine.createRoom(participantInfo, { ruleset });
+      bind(result.roomId, result.sessionId, result.resumeToken);
+      console.log(`Room created: ${result.roomId} by ${socket.id}`);
+      return result;
     });
   });
 
+  // Raum beitreten
+  socket.on('join-room', (roomId, callback) => reply(callback, async () => {
+    await detach();
+    const result = await engine.joinRoom(roomId, participantInfo);
+    bind(result.roomId, result.sessionId, result.resumeToken);
+    console.log(`${socket.id} joined room: ${result.roomId}`);
+    return result;
+  }));
+
   // Raum verlassen
-  socket.on('leave-room', () => {
-    if (currentRoom) {
-      currentRoom.removeParticipant(socket.id);
-      currentRoom.broadcast(io, 'participant-left', {
-        participantCount: currentRoom.getParticipantCount()
-      }, socket.id);
-      
-      console.log(`${socket.id} left room: ${currentRoom.id}`);
-      currentRoom = null;
-    }
-  });
+  socket.on('leave-room', (callback) => reply(callback, detach));
 
-  // Würfelergebnis synchronisieren
-  socket.on('sync-dice-roll', (diceValues) => {
-    if (!currentRoom) return;
-    
-    console.log(`Dice roll from ${socket.id} in room ${currentRoom.id}:`, diceValues);
-    
-    currentRoom.currentDiceValues = diceValues;
-    currentRoom.broadcast(io, 'dice-roll-received', {
-      values: diceValues,
-      fromParticipant: socket.id,
-      timestamp: new Date()
-    }, socket.id);
-  });
+  // Serverseitig würfeln (Commit-Reveal, siehe fair-roll.js)
+  socket.on('roll-dice', (clientSeed, callback) => reply(callback, () => {
+    const { roomId, sessionId, resumeToken } = requireSession();
+    return engine.roll(roomId, sessionId, resumeToken, clientSeed);
+  }));
+
+  // Einzelne Würfel des aktuellen Wurfs nachwürfeln
+  socket.on('reroll-dice', (indices, clientSeed, callback) => reply(callback, () => {
+    const { roomId, sessionId, resumeToken } = requireSession();
+    return engine.reroll(roomId, sessionId, resumeToken, indices, clientSeed);
+  }));
+
+  // Schwarzen Würfel einsetzen: { playerId, action, index, clientSeed }
+  socket.on('use-black-die', (request, callback) => reply(callback, () => {
+    const { roomId, sessionId, resumeToken } = requireSession();
+    const { playerId, action, index, clientSeed } = request || {};
+    return engine.useBlackDie(roomId, sessionId, resumeToken, playerId, action, index, clientSeed);
+  }));
+
+  // Manuell eingestellte Würfel (Tisch-Würfel) synchronisieren
+  socket.on('sync-dice-roll', (diceValues, callback) => reply(callback, () => {
+    const { roomId, sessionId, resumeToken } = requireSession();
+    return engine.syncDice(roomId, sessionId, resumeToken, diceValues);
+  }));
 
   // Timer synchronisieren
-  socket.on('sync-timer', (timerData) => {
-    if (!currentRoom) return;
-    
-    console.log(`Timer sync from ${socket.id}:`, timerData);
-    
-    currentRoom.timerState = {
-      ...timerData,
-      lastUpdatedBy: socket.id,
-      lastUpdatedAt: new Date()
-    };
-    
-    currentRoom.broadcast(io, 'timer-sync-received', currentRoom.timerState, socket.id);
-  });
+  socket.on('sync-timer', (timerState, callback) => reply(callback, () => {
+    const { roomId, sessionId, resumeToken } = requireSession();
+    return engine.syncTimer(roomId, sessionId, resumeToken, timerState);
+  }));
+
+  // Spieler synchronisieren
+  socket.on('sync-players', (players, callback) => reply(callback, () => {
+    const { roomId, sessionId, resumeToken } = requireSession();
+    return engine.syncPlayers(roomId, sessionId, resumeToken, players);
+  }));
+
+  // HTTP-API über den Socket (DDDSyncClient mit WebSocket-Transport):
+  // gleiche Pfade und Antworten wie /api/sync
+  socket.on('api-request', async (request, callback) => {
+    const { method = 'POST', path = '', body = {} } = request || {};
+    const result = await syncApi.handle({
+      method,
+      path,
+      body,
+      headers: socket.handshake.headers
+    });
 
-  // Chat-Nachrichten (optional)
-  socket.on('send-message', (message) => {
-    if (!currentRoom) return;
-    
-    currentRoom.broadcast(io, 'message-received', {
-      message,
-      fromParticipant: socket.id,
-      timestamp: new Date()
-    }, socket.id);
+    const response = result.body;
+    if (path === '/leave-room' && response.success) {
+      unbind();
+    } else if (BINDING_PATHS.includes(path) && response.success) {
+      // Nur hier weist der Server die Sitzung selbst zu bzw. prüft den
+      // resumeToken - eine sessionId aus dem Body allein bindet nicht
+      bind(response.roomId, response.sessionId, response.resumeToken, false);
+    }
+
+    if (typeof callback === 'function') callback(response);
   });
 
   // Ping für Verbindungstest
@@ -240,24 +240,38 @@ io.on('connection', (socket) => {
   // Verbindung getrennt
   socket.on('disconnect', () => {
     console.log(`Client disconnected: ${socket.id}`);
-    
-    if (currentRoom) {
-      currentRoom.removeParticipant(socket.id);
-      currentRoom.broadcast(io, 'participant-left', {
-        participantCount: currentRoom.getParticipantCount()
-      });
-      
-      // Raum aufräumen wenn leer
-      if (currentRoom.isEmpty()) {
-        rooms.delete(currentRoom.id);
-        console.log(`Room ${currentRoom.id} cleaned up (empty)`);
-      }
+    const session = socket.data.session;
+    if (session && !session.leaveOnDisconnect) {
+      unbind();
+      return;
     }
+    detach().catch(error => console.error('Leave on disconnect failed:', error));
   });
 });
 
+// Offene Sockets gelten als aktiv - sonst würde die Engine sie nach
+// 5 Minuten ohne Request aus dem Raum entfernen
+setInterval(() => {
+  for (const socket of io.of('/').sockets.values()) {
+    const session = socket.data.session;
+    if (session) {
+      engine.touch(session.roomId, session.sessionId).catch(error => {
+        console.error(`Heartbeat failed for ${socket.id}:`, error.message);
+      });
+    }
+  }
+}, HEARTBEAT_INTERVAL_MS);
+
+// Abgelaufene automatische Timer auch ohne neue Anfrage melden - sonst
+// erfahren Socket-Clients erst beim nächsten Request davon
+setInterval(() => {
+  engine.checkTimers().catch(error => console.error('Timer check failed:', error));
+}, TIMER_CHECK_INTERVAL_MS);
+
 // Regelmäßige Aufräumarbeiten
-setInterval(cleanupEmptyRooms, 60 * 60 * 1000); // Jede Stunde
+setInterval(() => {
+  engine.cleanup().catch(error => console.error('Room cleanup failed:', error));
+}, CLEANUP_INTERVAL_MS);
 
 // Server Error Handling
 server.on('error', (error) => {
@@ -274,7 +288,6 @@ process.on('SIGTERM', () => {
 // Server starten
 server.listen(PORT, () => {
   console.log(`🎲 DDD Sync Server running on port ${PORT}`);
-  console.log(`📊 Stats: ${rooms.size} active rooms`);
 });
 
-module.exports = { app, server, io };
+module.exports = { app, server, io, engine };
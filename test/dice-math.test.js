@@ -0,0 +1,311 @@
+// test/dice-math.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiceMath = require('../dice-math');
+
+const PAIR_TRIPLE = { diceCount: 6, sides: 6, grouping: 'pair-triple' };
+const TWO_PAIRS_D8 = { diceCount: 5, sides: 8, grouping: 'two-pairs' };
+const THREE_PAIRS = { diceCount: 6, sides: 6, grouping: 'three-pairs' };
+
+// Alle möglichen Würfe mit `count` Würfeln
+function allRolls(count, sides = 6) {
+  const rolls = [];
+  DiceMath.forEachRoll(count, values => rolls.push(values), sides);
+  return rolls;
+}
+
+// Unabhängige Referenz: alle Aufteilungen über Anordnungen der Indizes -
+// die ersten Indizes bilden Gruppe 1, die nächsten Gruppe 2 usw.
+function referenceKeys(values, sizes = [2, 2]) {
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  const keys = new Set();
+
+  (function arrange(order) {
+    if (order.length === total) {
+      let start = 0;
+      const groups = sizes.map(size => {
+        const group = order.slice(start, start + size).map(i => values[i]).sort((a, b) => a - b).join('-');
+        start += size;
+        return group;
+      });
+      keys.add(groups.sort().join('|'));
+      return;
+    }
+    for (let i = 0; i < values.length; i++) {
+      if (!order.includes(i)) arrange(order.concat(i));
+    }
+  })([]);
+
+  return keys;
+}
+
+function countKeys(keys) {
+  const counts = {};
+  keys.forEach(key => { counts[key] = (counts[key] || 0) + 1; });
+  return counts;
+}
+
+test('gcd', () => {
+  assert.equal(DiceMath.gcd(12, 18), 6);
+  assert.equal(DiceMath.gcd(18, 12), 6);
+  assert.equal(DiceMath.gcd(7, 13), 1);
+  assert.equal(DiceMath.gcd(5, 0), 5);
+  assert.equal(DiceMath.gcd(0, 5), 5);
+});
+
+test('simplifyFraction kürzt vollständig', () => {
+  assert.deepEqual(DiceMath.simplifyFraction(6, 1296), { num: 1, den: 216 });
+  assert.deepEqual(DiceMath.simplifyFraction(7, 13), { num: 7, den: 13 });
+  assert.deepEqual(DiceMath.simplifyFraction(0, 10), { num: 0, den: 1 });
+});
+
+test('splitKey ist unabhängig von der Reihenfolge', () => {
+  assert.equal(DiceMath.splitKey([[6, 2], [3, 1]]), '1-3|2-6');
+  assert.equal(DiceMath.splitKey([[1, 3], [2, 6]]), '1-3|2-6');
+  assert.equal(DiceMath.splitKey([[2, 6], [3, 1]]), '1-3|2-6');
+  assert.equal(DiceMath.splitKey([[6, 4, 2], [1, 1]]), '1-1|2-4-6');
+});
+
+test('Regelwerk: Standard und Prüfung', () => {
+  assert.deepEqual(DiceMath.DEFAULT_RULESET, { diceCount: 5, sides: 6, grouping: 'two-pairs' });
+  assert.equal(DiceMath.baseDiceCount(), 4);
+  assert.equal(DiceMath.baseDiceCount(PAIR_TRIPLE), 5);
+  assert.equal(DiceMath.baseDiceCount(THREE_PAIRS), 6);
+
+  assert.equal(DiceMath.getRulesetError(DiceMath.DEFAULT_RULESET), null);
+  assert.equal(DiceMath.getRulesetError(PAIR_TRIPLE), null);
+  assert.equal(DiceMath.getRulesetError({ diceCount: 5, sides: 10, grouping: 'two-pairs' }), null);
+  assert.match(DiceMath.getRulesetError(null), /fehlt/);
+  assert.match(DiceMath.getRulesetError({ diceCount: 5, sides: 6, grouping: 'four-of-a-kind' }), /Gruppierung/);
+  assert.match(DiceMath.getRulesetError({ diceCount: 5, sides: 7, grouping: 'two-pairs' }), /7 Seiten/);
+  assert.match(DiceMath.getRulesetError({ diceCount: 3, sides: 6, grouping: 'two-pairs' }), /4 bis 6 Würfel/);
+  assert.match(DiceMath.getRulesetError({ diceCount: 7, sides: 6, grouping: 'two-pairs' }), /4 bis 6 Würfel/);
+  assert.match(DiceMath.getRulesetError({ diceCount: 6, sides: 10, grouping: 'two-pairs' }), /Zu viele/);
+
+  assert.deepEqual(DiceMath.normalizeRuleset({ ...PAIR_TRIPLE, extra: true }), PAIR_TRIPLE);
+  assert.throws(() => DiceMath.normalizeRuleset({ diceCount: 5, sides: 12, grouping: 'two-pairs' }), /12 Seiten/);
+});
+
+test('isValidRoll folgt dem Regelwerk', () => {
+  assert.ok(DiceMath.isValidRoll([1, 2, 3, 4, 6]));
+  assert.ok(!DiceMath.isValidRoll([1, 2, 3, 4]));
+  assert.ok(!DiceMath.isValidRoll([1, 2, 3, 4, 7]));
+  assert.ok(DiceMath.isValidRoll([1, 2, 3, 4, 8], TWO_PAIRS_D8));
+  assert.ok(!DiceMath.isValidRoll([1, 2, 3, 4, 1.5], TWO_PAIRS_D8));
+  assert.ok(!DiceMath.isValidRoll('1,2,3,4,5'));
+});
+
+test('getSplits: bekannte Würfe', () => {
+  assert.deepEqual(DiceMath.getSplits([1, 2, 3, 4]).map(s => s.key).sort(), ['1-2|3-4', '1-3|2-4', '1-4|2-3']);
+  assert.deepEqual(DiceMath.getSplits([5, 5, 5, 5]).map(s => s.key), ['5-5|5-5']);
+  assert.deepEqual(DiceMath.getSplits([2, 2, 4, 4]).map(s => s.key).sort(), ['2-2|4-4', '2-4|2-4']);
+  assert.deepEqual(DiceMath.getSplits([1, 2, 3]), []);
+  assert.deepEqual(DiceMath.getSplits([1, 1, 2, 2, 2], [2, 3]).map(s => s.key).sort(), ['1-1-2|2-2', '1-1|2-2-2', '1-2|1-2-2']);
+});
+
+test('getSplits: alle 4-Würfel-Würfe', () => {
+  for (const values of allRolls(4)) {
+    const splits = DiceMath.getSplits(values);
+    const keys = splits.map(s => s.key);
+
+    assert.equal(new Set(keys).size, keys.length, `doppelte Schlüssel bei ${values}`);
+    assert.deepEqual(new Set(keys), referenceKeys(values), `falsche Aufteilungen bei ${values}`);
+
+    splits.forEach(split => {
+      assert.deepEqual(split.indices.flat().sort(), [0, 1, 2, 3]);
+      split.indices.forEach((group, g) => assert.deepEqual(split.groups[g], group.map(i => values[i])));
+      assert.equal(split.key, DiceMath.splitKey(split.groups));
+    });
+  }
+});
+
+test('getSplits: alle 5-Würfel-Würfe', () => {
+  for (const values of allRolls(5)) {
+    const splits = DiceMath.getSplits(values);
+    const keys = splits.map(s => s.key);
+
+    assert.equal(new Set(keys).size, keys.length, `doppelte Schlüssel bei ${values}`);
+    assert.deepEqual(new Set(keys), referenceKeys(values), `falsche Aufteilungen bei ${values}`);
+
+    splits.forEach(split => {
+      assert.equal(new Set(split.indices.flat()).size, 4);
+      split.indices.forEach((group, g) => assert.deepEqual(split.groups[g], group.map(i => values[i])));
+    });
+  }
+});
+
+test('getSplits: Paar + Drilling, alle 5-Würfel-Würfe', () => {
+  for (const values of allRolls(5)) {
+    const splits = DiceMath.getSplits(values, [2, 3]);
+    const keys = splits.map(s => s.key);
+
+    assert.equal(new Set(keys).size, keys.length, `doppelte Schlüssel bei ${values}`);
+    assert.deepEqual(new Set(keys), referenceKeys(values, [2, 3]), `falsche Aufteilungen bei ${values}`);
+    splits.forEach(split => assert.deepEqual(split.groups.map(group => group.length), [2, 3]));
+  }
+});
+
+test('analyzeRoll: Liste 1 und Liste 2 für alle 5-Würfel-Würfe', () => {
+  for (const values of allRolls(5)) {
+    const { list1, list2 } = DiceMath.analyzeRoll(values);
+    const keys1 = new Set(list1.map(s => s.key));
+    const keys2 = list2.map(s => s.key);
+
+    assert.deepEqual(keys1, referenceKeys(values.slice(0, 4)));
+    list2.forEach(split => {
+      assert.ok(DiceMath.usesExtraDie(split), `${split.key} nutzt den 5. Würfel nicht (${values})`);
+      assert.ok(!keys1.has(split.key), `${split.key} steht schon in Liste 1 (${values})`);
+    });
+    assert.equal(new Set(keys2).size, keys2.length);
+
+    // Zusammen ergeben beide Listen genau alle Aufteilungen der 5 Würfel
+    assert.deepEqual(new Set([...keys1, ...keys2]), referenceKeys(values));
+  }
+});
+
+test('analyzeRoll: Paar + Drilling mit Zusatzwürfel', () => {
+  for (const values of allRolls(6).filter((_, i) => i % 31 === 0)) {
+    const { list1, list2 } = DiceMath.analyzeRoll(values, PAIR_TRIPLE);
+    const keys1 = new Set(list1.map(s => s.key));
+
+    assert.deepEqual(keys1, referenceKeys(values.slice(0, 5), [2, 3]));
+    list2.forEach(split => {
+      assert.ok(DiceMath.usesExtraDie(split, PAIR_TRIPLE));
+      assert.ok(!keys1.has(split.key));
+    });
+    assert.deepEqual(new Set([...keys1, ...list2.map(s => s.key)]), referenceKeys(values, [2, 3]));
+  }
+});
+
+test('analyzeRoll: ohne Zusatzwürfel ist Liste 2 leer', () => {
+  const { list1, list2 } = DiceMath.analyzeRoll([1, 2, 3, 4]);
+  assert.equal(list1.length, 3);
+  assert.deepEqual(list2, []);
+});
+
+test('analyzeBlackDice: Liste 3 ergänzt genau die Aufteilungen mit schwarzen Würfeln', () => {
+  const values = [1, 1, 2, 5, 6];
+  const { list1, list2 } = DiceMath.analyzeRoll(values);
+  const known = new Set([...list1, ...list2].map(s => s.key));
+
+  for (const blackValues of [[3], [3, 3], [6, 1, 4]]) {
+    const list3 = DiceMath.analyzeBlackDice(values, blackValues);
+    list3.forEach(split => {
+      assert.ok(split.indices.some(group => group.some(i => i >= values.length)), split.key);
+      assert.ok(!known.has(split.key), split.key);
+    });
+    assert.deepEqual(new Set([...known, ...list3.map(s => s.key)]), referenceKeys(values.concat(blackValues)));
+  }
+  assert.deepEqual(DiceMath.analyzeBlackDice(values, []), []);
+});
+
+test('analyzeRoll: bekannter Wurf', () => {
+  const { list1, list2 } = DiceMath.analyzeRoll([1, 1, 1, 1, 6]);
+  assert.deepEqual(list1.map(s => s.key), ['1-1|1-1']);
+  assert.deepEqual(list2.map(s => s.key), ['1-1|1-6']);
+});
+
+test('calculateAllPossibleSplits zählt jede Aufteilung einmal pro Wurf', () => {
+  const { list1, list2 } = DiceMath.calculateAllPossibleSplits();
+
+  const expected1 = new Map();
+  for (const values of allRolls(4)) {
+    referenceKeys(values).forEach(key => expected1.set(key, (expected1.get(key) || 0) + 1));
+  }
+
+  const expected2 = new Map();
+  for (const values of allRolls(5)) {
+    const keys1 = referenceKeys(values.slice(0, 4));
+    referenceKeys(values).forEach(key => {
+      if (!keys1.has(key)) expected2.set(key, (expected2.get(key) || 0) + 1);
+    });
+  }
+
+  const count = keys => keys.reduce((map, key) => map.set(key, (map.get(key) || 0) + 1), new Map());
+  assert.deepEqual(count(list1), expected1);
+  assert.deepEqual(count(list2), expected2);
+});
+
+test('calculateProbability', () => {
+  const { list1 } = DiceMath.calculateAllPossibleSplits();
+
+  // 1-1|1-1 gibt es nur beim Wurf 1,1,1,1
+  const single = DiceMath.calculateProbability('1-1|1-1', list1);
+  assert.equal(single.count, 1);
+  assert.equal(single.total, list1.length);
+  assert.deepEqual(single.fraction, DiceMath.simplifyFraction(1, list1.length));
+
+  // 1-2|3-4 entsteht aus allen 4! Anordnungen von 1,2,3,4
+  const distinct = DiceMath.calculateProbability('1-2|3-4', list1);
+  assert.equal(distinct.count, 24);
+  assert.equal(distinct.fraction.num / distinct.fraction.den, 24 / list1.length);
+  assert.equal(distinct.percentage, ((24 / list1.length) * 100).toFixed(1));
+
+  const missing = DiceMath.calculateProbability('0-0|0-0', list1);
+  assert.equal(missing.count, 0);
+  assert.equal(missing.percentage, '0.0');
+});
+
+test('getFrequencyTables entsprechen calculateAllPossibleSplits', () => {
+  for (const ruleset of [DiceMath.DEFAULT_RULESET, PAIR_TRIPLE, TWO_PAIRS_D8]) {
+    const arrays = DiceMath.calculateAllPossibleSplits(ruleset);
+    const tables = DiceMath.getFrequencyTables(ruleset);
+
+    for (const list of ['list1', 'list2']) {
+      assert.equal(tables[list].total, arrays[list].length, `${DiceMath.rulesetKey(ruleset)} ${list}`);
+      assert.deepEqual(tables[list].counts, countKeys(arrays[list]), `${DiceMath.rulesetKey(ruleset)} ${list}`);
+    }
+
+    // Einmal berechnet, danach aus dem Cache
+    assert.equal(DiceMath.getFrequencyTables(ruleset), tables);
+  }
+});
+
+test('getFrequencyTables: ohne Zusatzwürfel bleibt Liste 2 leer', () => {
+  const tables = DiceMath.getFrequencyTables(THREE_PAIRS);
+  assert.equal(tables.list1.total, DiceMath.calculateAllPossibleSplits(THREE_PAIRS).list1.length);
+  assert.deepEqual(tables.list2, { counts: {}, total: 0 });
+});
+
+test('getSplitProbability liefert dasselbe wie calculateProbability', () => {
+  const arrays = DiceMath.calculateAllPossibleSplits();
+
+  for (const list of ['list1', 'list2']) {
+    for (const key of new Set(arrays[list])) {
+      assert.deepEqual(DiceMath.getSplitProbability(key, list), DiceMath.calculateProbability(key, arrays[list]));
+    }
+  }
+  assert.equal(DiceMath.getSplitProbability('0-0|0-0', 'list2').count, 0);
+  assert.throws(() => DiceMath.getSplitProbability('1-1|1-1', 'list3'), /Unbekannte Liste/);
+});
+
+test('getSumTables zählen Würfe, in denen eine Aufteilung die Summe trifft', () => {
+  const ruleset = DiceMath.DEFAULT_RULESET;
+  const range = DiceMath.groupSumRange(ruleset);
+  assert.deepEqual(range, { min: 2, max: 12 });
+
+  // Referenz über alle Würfe und referenceKeys()
+  function referenceCounts(count) {
+    const counts = {};
+    allRolls(count).forEach(values => {
+      const sums = new Set();
+      referenceKeys(values).forEach(key => key.split('|').forEach(group => {
+        sums.add(group.split('-').reduce((sum, value) => sum + Number(value), 0));
+      }));
+      sums.forEach(sum => { counts[sum] = (counts[sum] || 0) + 1; });
+    });
+    return counts;
+  }
+
+  const tables = DiceMath.getSumTables(ruleset);
+  assert.equal(tables.base.total, 6 ** 4);
+  assert.equal(tables.all.total, 6 ** 5);
+  assert.deepEqual(tables.base.counts, referenceCounts(4));
+  assert.deepEqual(tables.all.counts, referenceCounts(5));
+
+  for (let target = range.min; target <= range.max; target++) {
+    const probability = DiceMath.getSumProbability(target, ruleset);
+    assert.equal(probability.marginal.count, tables.all.counts[target] - tables.base.counts[target] * 6);
+  }
+  assert.equal(DiceMath.getSumProbability(1, ruleset).all.count, 0);
+});
@@ -0,0 +1,35 @@
+// test/fair-roll.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FairRoll = require('../fair-roll');
+
+test('Wurf aus zugesagtem Seed lässt sich nachprüfen', async () => {
+  const { seed, hash } = await FairRoll.createCommitment();
+  assert.equal(await FairRoll.hashSeed(seed), hash);
+
+  const values = await FairRoll.rollFromSeed(seed, 5, 6, 'client');
+  assert.equal(values.length, 5);
+  assert.ok(values.every(value => Number.isInteger(value) && value >= 1 && value <= 6));
+  // Gleicher Seed, gleiche Werte
+  assert.deepEqual(await FairRoll.rollFromSeed(seed, 5, 6, 'client'), values);
+
+  const proof = { seed, hash, clientSeed: 'client', sides: 6 };
+  assert.equal(await FairRoll.verifyRoll(proof, values, hash), true);
+  assert.equal(await FairRoll.verifyRoll(proof, values), true);
+});
+
+test('Prüfung schlägt bei fremdem Hash, Client-Seed oder geänderten Werten fehl', async () => {
+  const { seed, hash } = await FairRoll.createCommitment();
+  const other = await FairRoll.createCommitment();
+  const values = await FairRoll.rollFromSeed(seed, 5, 6, 'client');
+  const proof = { seed, hash, clientSeed: 'client', sides: 6 };
+
+  assert.equal(await FairRoll.verifyRoll(proof, values, other.hash), false);
+  assert.equal(await FairRoll.verifyRoll({ ...proof, clientSeed: 'anders' }, values, hash), false);
+  assert.equal(await FairRoll.verifyRoll({ ...proof, hash: other.hash }, values), false);
+
+  const changed = values.slice();
+  changed[0] = changed[0] === 6 ? 1 : changed[0] + 1;
+  assert.equal(await FairRoll.verifyRoll(proof, changed, hash), false);
+  assert.equal(await FairRoll.verifyRoll(null, values), false);
+});
@@ -0,0 +1,73 @@
+// test/player-registry.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PlayerRegistry = require('../lib/player-registry');
+
+const player = overrides => ({
+  name: 'Anna',
+  health: 20,
+  blackDice: [true, true, false],
+  treasure: { heart: [true, false, false], torch: [false, false], dice: [false, false, false] },
+  treasureCategories: { heart: true, torch: false, dice: true },
+  ...overrides
+});
+
+test('getPlayerError prüft die Felder gegen das Dashboard', () => {
+  assert.equal(PlayerRegistry.getPlayerError(player()), null);
+  assert.equal(PlayerRegistry.getPlayerError({}), null);
+  assert.equal(PlayerRegistry.getPlayerError(player({ health: 'dead' })), null);
+
+  assert.equal(PlayerRegistry.getPlayerError(null).code, 'INVALID_PLAYER');
+  assert.match(PlayerRegistry.getPlayerError(player({ health: 15 })).message, /health/);
+  assert.match(PlayerRegistry.getPlayerError(player({ health: '20' })).message, /health/);
+  assert.match(PlayerRegistry.getPlayerError(player({ blackDice: [true, true, true, true] })).message, /blackDice/);
+  assert.match(PlayerRegistry.getPlayerError(player({ blackDice: [1, 0, 0] })).message, /blackDice/);
+  assert.match(PlayerRegistry.getPlayerError(player({ treasure: { heart: [true] } })).message, /treasure/);
+  assert.match(PlayerRegistry.getPlayerError(player({ name: 'x'.repeat(41) })).message, /name/);
+});
+
+test('Höchstens zwei Schatztruhen-Kategorien, Schätze nur in gewählten', () => {
+  const error = PlayerRegistry.getPlayerError(player({ treasureCategories: { heart: true, torch: true, dice: true } }));
+  assert.equal(error.code, 'TREASURE_LIMIT');
+
+  const unchosen = PlayerRegistry.getPlayerError(player({ treasureCategories: { heart: false, torch: true, dice: true } }));
+  assert.equal(unchosen.code, 'INVALID_PLAYER');
+  assert.match(unchosen.message, /heart/);
+});
+
+test('getPlayersError prüft die Liste einer Sitzung', () => {
+  assert.equal(PlayerRegistry.getPlayersError([]), null);
+  assert.equal(PlayerRegistry.getPlayersError([player({ clientId: 1 }), player({ clientId: 2 })]), null);
+  assert.equal(PlayerRegistry.getPlayersError({}).code, 'INVALID_REQUEST');
+
+  const tooMany = Array.from({ length: PlayerRegistry.MAX_PLAYERS_PER_SESSION + 1 }, () => player());
+  assert.equal(PlayerRegistry.getPlayersError(tooMany).code, 'PLAYER_LIMIT');
+
+  const second = PlayerRegistry.getPlayersError([player(), player({ health: 3 })]);
+  assert.equal(second.code, 'INVALID_PLAYER');
+  assert.match(second.message, /^Spieler 2:/);
+
+  assert.equal(PlayerRegistry.getPlayersError([player({ id: 'player_a' }), player({ id: 'player_a' })]).code, 'INVALID_PLAYER');
+  assert.equal(PlayerRegistry.getPlayersError([player({ clientId: 3 }), player({ clientId: 3 })]).code, 'INVALID_PLAYER');
+});
+
+test('normalizePlayer behält nur bekannte Felder und ergänzt Startwerte', () => {
+  const normalized = PlayerRegistry.normalizePlayer({ clientId: 7, isOwn: true, sessionId: 'fremd', id: 'x' });
+  assert.deepEqual(normalized, {
+    name: '',
+    health: 20,
+    blackDice: [false, false, false],
+    treasure: { heart: [false, false, false], torch: [false, false], dice: [false, false, false] },
+    treasureCategories: { heart: false, torch: false, dice: false },
+    clientId: 7
+  });
+  assert.match(PlayerRegistry.generatePlayerId(), /^player_[0-9a-f]{12}$/);
+});
+
+test('lowerHealth geht eine Stufe auf der Leiste nach unten', () => {
+  assert.equal(PlayerRegistry.lowerHealth(20), 16);
+  assert.equal(PlayerRegistry.lowerHealth(undefined), 16);
+  assert.equal(PlayerRegistry.lowerHealth(1), 0);
+  assert.equal(PlayerRegistry.lowerHealth(0), 'dead');
+  assert.equal(PlayerRegistry.lowerHealth('dead'), 'dead');
+});
@@ -0,0 +1,72 @@
+// test/roll-stats.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiceMath = require('../dice-math');
+const DiceSimulation = require('../simulation');
+const RollStats = require('../roll-stats');
+
+function rollEntries(count, seed, manualEvery = 0) {
+  const random = DiceSimulation.createRandom(seed);
+  return Array.from({ length: count }, (_, i) => ({
+    number: i + 1,
+    values: DiceMath.rollValues(DiceMath.DEFAULT_RULESET, random),
+    manual: manualEvery > 0 && (i + 1) % manualEvery === 0,
+    ruleset: DiceMath.DEFAULT_RULESET
+  }));
+}
+
+test('chiSquarePValue entspricht Tabellenwerten', () => {
+  assert.ok(Math.abs(RollStats.chiSquarePValue(3.841, 1) - 0.05) < 1e-3);
+  assert.ok(Math.abs(RollStats.chiSquarePValue(11.070, 5) - 0.05) < 1e-3);
+  assert.ok(Math.abs(RollStats.chiSquarePValue(21.666, 9) - 0.01) < 1e-3);
+  assert.equal(RollStats.chiSquarePValue(0, 5), 1);
+});
+
+test('addRoll zählt je Quelle, überspringt Bekanntes und beginnt bei neuem Regelwerk neu', () => {
+  const entries = rollEntries(30, 5, 3);
+  let stats = null;
+  entries.forEach(entry => { stats = RollStats.addRoll(stats, entry); });
+  stats = RollStats.addRoll(stats, entries[4]); // schon gezählt
+
+  assert.equal(stats.sources.auto.rolls, 20);
+  assert.equal(stats.sources.manual.rolls, 10);
+  const all = RollStats.getSource(stats);
+  assert.equal(all.rolls, 30);
+  all.faces.forEach(counts => assert.equal(counts.reduce((sum, count) => sum + count, 0), 30));
+  assert.equal(stats.lastRollNumber, 30);
+
+  const d8 = { diceCount: 5, sides: 8, grouping: 'two-pairs' };
+  const restarted = RollStats.addRoll(stats, { number: 31, values: [8, 8, 1, 2, 3], manual: false, ruleset: d8 });
+  assert.equal(restarted.ruleset, d8);
+  assert.equal(RollStats.getSource(restarted).rolls, 1);
+  assert.equal(restarted.sources.auto.faces[0][7], 1);
+
+  // Nachwurf: nur die neu gewürfelten Augen, kein weiterer Wurf
+  const rerolled = RollStats.addRoll(restarted, { number: 32, values: [8, 5, 1, 2, 3], manual: false, ruleset: d8, rerolled: [1] });
+  assert.equal(rerolled.sources.auto.rolls, 1);
+  assert.equal(rerolled.sources.auto.faces[0][7], 1);
+  assert.equal(rerolled.sources.auto.faces[1][4], 1);
+  assert.equal(rerolled.sources.auto.faces[2][0], 1);
+  assert.equal(RollStats.evaluate(rerolled).faces.perDie[1].expected, 2 / 8);
+});
+
+test('evaluate: faire Würfel unauffällig, gezinkte auffällig', () => {
+  let fair = null;
+  rollEntries(3000, 11).forEach(entry => { fair = RollStats.addRoll(fair, entry); });
+  const evaluation = RollStats.evaluate(fair);
+  assert.equal(evaluation.rolls, 3000);
+  assert.notEqual(evaluation.verdict, 'biased');
+  assert.ok(Math.abs(evaluation.pasch.base.rate - evaluation.pasch.base.expectedRate) < 0.03);
+  assert.ok(Math.abs(evaluation.splits.list1.average - evaluation.splits.list1.expected) < 0.1);
+
+  // Würfel 1 zeigt fast doppelt so oft eine 6
+  let loaded = null;
+  rollEntries(600, 12).forEach((entry, i) => {
+    const values = entry.values.slice();
+    if (i % 6 === 0) values[0] = 6;
+    loaded = RollStats.addRoll(loaded, { ...entry, values, manual: true });
+  });
+  assert.equal(RollStats.evaluate(loaded, 'manual').faces.perDie[0].verdict, 'biased');
+  assert.equal(RollStats.evaluate(loaded, 'auto').verdict, 'insufficient');
+  assert.equal(RollStats.evaluate(RollStats.create()).verdict, 'insufficient');
+});
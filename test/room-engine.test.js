@@ -0,0 +1,445 @@
+// test/room-engine.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FairRoll = require('../fair-roll');
+const { Room, RoomEngine, RoomError, toErrorPayload } = require('../lib/room-engine');
+const { MemoryRoomStore, FileRoomStore } = require('../lib/room-store');
+
+function createEngine() {
+  return new RoomEngine({ store: new MemoryRoomStore() });
+}
+
+// Gespeicherten Raum direkt ändern (Zeit vorspulen, ohne zu warten)
+async function editRoom(engine, roomId, edit) {
+  const data = await engine.store.get(roomId);
+  edit(data);
+  await engine.store.set(roomId, data);
+}
+
+// Raum mit Host und Gast, je ein aktiver Spieler (Host zuerst am Zug)
+async function createTable(engine = createEngine()) {
+  const host = await engine.createRoom({});
+  const guest = await engine.joinRoom(host.roomId, {});
+  const [anna] = (await engine.syncPlayers(host.roomId, host.sessionId, host.resumeToken, [{ clientId: 1, name: 'Anna', blackDice: [true, false, false] }])).players;
+  const ben = (await engine.syncPlayers(host.roomId, guest.sessionId, guest.resumeToken, [{ clientId: 1, name: 'Ben' }])).players
+    .find(player => player.sessionId === guest.sessionId);
+  return { engine, roomId: host.roomId, host, guest, anna, ben };
+}
+
+function collectMessages(engine) {
+  const messages = [];
+  engine.on('message', (roomId, message) => messages.push(message));
+  return messages;
+}
+
+test('toJSON/fromJSON behält Regelwerk, Nachwürfe und Timer-Einstellungen', () => {
+  const room = new Room('ABC123');
+  room.setRuleset({ diceCount: 4, sides: 8, grouping: 'two-pairs' });
+  room.rerollBudget = 0;
+  room.autoTimer = true;
+  room.timerDuration = 90;
+  room.timerExpiry = 'penalty';
+
+  const restored = Room.fromJSON(JSON.parse(JSON.stringify(room.toJSON())));
+  assert.deepEqual(restored.ruleset, { diceCount: 4, sides: 8, grouping: 'two-pairs' });
+  assert.equal(restored.rerollBudget, 0);
+  assert.equal(restored.autoTimer, true);
+  assert.equal(restored.timerDuration, 90);
+  assert.equal(restored.timerExpiry, 'penalty');
+  assert.deepEqual(restored.getSettings(), room.getSettings());
+});
+
+test('Beitritt liefert das Regelwerk des Erstellers', async () => {
+  const engine = createEngine();
+  const host = await engine.createRoom({}, { ruleset: { diceCount: 4, sides: 8, grouping: 'two-pairs' } });
+  const guest = await engine.joinRoom(host.roomId, {});
+
+  assert.equal(guest.ruleset.diceCount, 4);
+  assert.equal(guest.ruleset.sides, 8);
+});
+
+test('syncPlayers vergibt ids und erkennt Spieler an id, ohne id an clientId', async () => {
+  const engine = createEngine();
+  const host = await engine.createRoom({});
+  const own = result => result.players.filter(player => player.sessionId === host.sessionId);
+
+  const first = own(await engine.syncPlayers(host.roomId, host.sessionId, host.resumeToken, [
+    { clientId: 1, name: 'Anna' },
+    { clientId: 2, name: 'Ben' }
+  ]));
+  assert.match(first[0].id, /^player_/);
+  assert.notEqual(first[0].id, first[1].id);
+  assert.deepEqual(first.map(player => player.clientId), [1, 2]);
+
+  // Neu nummeriert: die id entscheidet, nicht die clientId
+  const renumbered = own(await engine.syncPlayers(host.roomId, host.sessionId, host.resumeToken, [
+    { id: first[1].id, clientId: 1, name: 'Ben' },
+    { id: first[0].id, clientId: 2, name: 'Anna' }
+  ]));
+  assert.deepEqual(renumbered.map(player => [player.name, player.id]), [['Ben', first[1].id], ['Anna', first[0].id]]);
+
+  // Ohne id zählt die clientId; unbekannte ids bekommen eine neue
+  const byClientId = own(await engine.syncPlayers(host.roomId, host.sessionId, host.resumeToken, [
+    { clientId: 1, name: 'Ben' },
+    { id: 'player_unbekannt', clientId: 2, name: 'Anna' }
+  ]));
+  assert.equal(byClientId[0].id, first[1].id);
+  assert.notEqual(byClientId[1].id, first[0].id);
+});
+
+test('syncPlayers lehnt fremde Spieler und ungültige Daten ab', async () => {
+  const engine = createEngine();
+  const host = await engine.createRoom({});
+  const guest = await engine.joinRoom(host.roomId, {});
+  const [anna] = (await engine.syncPlayers(host.roomId, host.sessionId, host.resumeToken, [{ clientId: 1, name: 'Anna' }])).players;
+
+  await assert.rejects(
+    () => engine.syncPlayers(host.roomId, guest.sessionId, guest.resumeToken, [{ id: anna.id, name: 'Anna' }]),
+    { code: 'FORBIDDEN', statusCode: 403 }
+  );
+  await assert.rejects(
+    () => engine.syncPlayers(host.roomId, guest.sessionId, guest.resumeToken, [{ treasureCategories: { heart: true, torch: true, dice: true } }]),
+    { code: 'TREASURE_LIMIT', statusCode: 400 }
+  );
+  await assert.rejects(() => engine.syncPlayers(host.roomId, guest.sessionId, guest.resumeToken, [{ health: 15 }]), { code: 'INVALID_PLAYER' });
+  await assert.rejects(() => engine.syncPlayers(host.roomId, guest.sessionId, guest.resumeToken, [{}, {}, {}, {}, {}]), { code: 'PLAYER_LIMIT' });
+
+  // Mit der öffentlichen sessionId des Hosts, aber ohne seinen resumeToken
+  await assert.rejects(
+    () => engine.syncPlayers(host.roomId, host.sessionId, guest.resumeToken, [{ name: 'Mallory' }]),
+    { code: 'FORBIDDEN' }
+  );
+  await assert.rejects(() => engine.roll(host.roomId, host.sessionId, undefined), { code: 'FORBIDDEN' });
+  await assert.rejects(() => engine.syncTimer(host.roomId, host.sessionId, 'falsch', { action: 'start', duration: 60 }), { code: 'FORBIDDEN' });
+  await assert.rejects(() => engine.leaveRoom(host.roomId, host.sessionId, guest.resumeToken), { code: 'FORBIDDEN' });
+
+  // Der Spieler des Hosts bleibt unverändert
+  const { players } = await engine.poll(host.roomId, host.sessionId, 0);
+  assert.deepEqual(players.map(player => [player.sessionId, player.id]), [[host.sessionId, anna.id]]);
+});
+
+test('Server-Wurf: Beweis passt zum vorher zugesagten Hash', async () => {
+  const engine = createEngine();
+  const host = await engine.createRoom({});
+  assert.match(host.nextRollHash, /^[0-9a-f]{64}$/);
+
+  const result = await engine.roll(host.roomId, host.sessionId, host.resumeToken, 'client-seed');
+  assert.equal(result.values.length, 5);
+  assert.ok(result.values.every(value => value >= 1 && value <= 6));
+  assert.equal(result.proof.hash, host.nextRollHash);
+  assert.equal(result.proof.clientSeed, 'client-seed');
+  assert.notEqual(result.nextRollHash, host.nextRollHash);
+  assert.equal(await FairRoll.verifyRoll(result.proof, result.values, host.nextRollHash), true);
+  assert.equal(await FairRoll.verifyRoll(result.proof, result.values, result.nextRollHash), false);
+
+  await assert.rejects(() => engine.syncDice(host.roomId, host.sessionId, host.resumeToken, [1, 2, 3]), { code: 'INVALID_REQUEST' });
+  const manual = await engine.syncDice(host.roomId, host.sessionId, host.resumeToken, [1, 2, 3, 4, 5]);
+  assert.equal(manual.roll.manual, true);
+});
+
+test('Engine-Fehler tragen Code und Status, Nachrichten gehen an alle Transporte', async () => {
+  const engine = createEngine();
+  const messages = collectMessages(engine);
+  const host = await engine.createRoom({});
+
+  await assert.rejects(() => engine.joinRoom('NOPE42', {}), { code: 'ROOM_NOT_FOUND', statusCode: 404 });
+  await assert.rejects(() => engine.poll(host.roomId, 'session_fremd', 0), { code: 'SESSION_NOT_FOUND', statusCode: 403 });
+  await assert.rejects(() => engine.syncTimer(host.roomId, host.sessionId, host.resumeToken, { action: 'explode' }), { code: 'INVALID_REQUEST' });
+
+  assert.deepEqual(toErrorPayload(new RoomError('ROOM_LOCKED')), { success: false, code: 'ROOM_LOCKED', error: 'Raum ist gesperrt' });
+  assert.equal(toErrorPayload(new Error('kaputt')).code, 'INTERNAL_ERROR');
+
+  const guest = await engine.joinRoom(host.roomId.toLowerCase(), {});
+  assert.equal(guest.roomId, host.roomId);
+  assert.deepEqual(messages.map(message => message.type), ['participants-update']);
+});
+
+test('poll liefert Nachrichten nach afterSeq, ohne eigene, mit resync bei Lücken', async () => {
+  const { engine, roomId, host, guest } = await createTable();
+  const start = await engine.poll(roomId, guest.sessionId, null);
+  assert.equal(start.resync, true);
+
+  await engine.syncDice(roomId, host.sessionId, host.resumeToken, [1, 1, 2, 2, 3]);
+  const afterRoll = await engine.poll(roomId, guest.sessionId, start.seq);
+  assert.equal(afterRoll.resync, false);
+  assert.deepEqual(afterRoll.messages.map(message => message.type), ['dice-roll']);
+  assert.equal(afterRoll.messages[0].seq, start.seq + 1);
+  assert.equal(afterRoll.seq, start.seq + 1);
+
+  // Eigene Nachrichten bekommt der Absender nicht zurück
+  assert.deepEqual((await engine.poll(roomId, host.sessionId, start.seq)).messages, []);
+  assert.equal((await engine.poll(roomId, guest.sessionId, afterRoll.seq + 5)).resync, true);
+
+  // Mehr als 50 Nachrichten: der Anfang ist nicht mehr im Log
+  for (let i = 0; i < 55; i++) {
+    await engine.syncDice(roomId, host.sessionId, host.resumeToken, [1, 2, 3, 4, 5]);
+  }
+  const late = await engine.poll(roomId, guest.sessionId, afterRoll.seq);
+  assert.equal(late.resync, true);
+  assert.deepEqual(late.messages, []);
+  assert.equal(late.currentDiceValues.length, 5);
+});
+
+test('poll und touch schreiben nur, wenn sich etwas ändert', async () => {
+  const { engine, roomId, guest } = await createTable();
+  const { version } = await engine.store.getEntry(roomId);
+  await engine.poll(roomId, guest.sessionId, null);
+  await engine.touch(roomId, guest.sessionId);
+  assert.equal((await engine.store.getEntry(roomId)).version, version);
+
+  // Veraltetes lastSeen wird beim nächsten Lesen gespeichert
+  await editRoom(engine, roomId, data => {
+    data.participants.find(p => p.sessionId === guest.sessionId).lastSeen = new Date(Date.now() - 2 * 60 * 1000);
+  });
+  const edited = await engine.store.getEntry(roomId);
+  await engine.poll(roomId, guest.sessionId, null);
+  const polled = await engine.store.getEntry(roomId);
+  assert.notEqual(polled.version, edited.version);
+  assert.ok(new Date(polled.data.participants.find(p => p.sessionId === guest.sessionId).lastSeen) > Date.now() - 1000);
+});
+
+test('Zwei Engines auf einem Store verlieren keine gleichzeitigen Änderungen', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ddd-room-engine-test-'));
+  try {
+    // Wie zwei Function-Instanzen: eigene Engine, eigene Sperren, gemeinsamer Store
+    const first = new RoomEngine({ store: new FileRoomStore(directory) });
+    const second = new RoomEngine({ store: new FileRoomStore(directory) });
+    const engines = [first, second, first, second, first, second];
+
+    const host = await first.createRoom({});
+    const guests = await Promise.all(engines.map(engine => engine.joinRoom(host.roomId, {})));
+    assert.equal((await first.getRoomInfo(host.roomId)).participantCount, 7);
+
+    await Promise.all(guests.map((guest, index) => engines[index].syncPlayers(host.roomId, guest.sessionId, guest.resumeToken,
+      [{ clientId: 1, name: `Gast ${index}`, isActive: false }])));
+    assert.equal((await second.getRoomInfo(host.roomId)).players.length, 6);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('Sitzung lässt sich mit resumeToken wieder aufnehmen, auch nach Ablauf', async () => {
+  const { engine, roomId, guest, ben } = await createTable();
+
+  await assert.rejects(() => engine.resumeRoom(roomId, guest.sessionId, 'falsch', {}), { code: 'SESSION_NOT_FOUND' });
+  assert.equal((await engine.resumeRoom(roomId, guest.sessionId, guest.resumeToken, {})).sessionId, guest.sessionId);
+
+  // 6 Minuten ohne Request: die Sitzung fällt raus, ihre Spieler werden aufgehoben
+  await editRoom(engine, roomId, data => {
+    data.participants.find(p => p.sessionId === guest.sessionId).lastSeen = new Date(Date.now() - 6 * 60 * 1000);
+  });
+  assert.equal((await engine.getRoomInfo(roomId)).participantCount, 1);
+
+  const resumed = await engine.resumeRoom(roomId, guest.sessionId, guest.resumeToken, {});
+  assert.equal(resumed.participantCount, 2);
+  assert.deepEqual(resumed.players.filter(p => p.sessionId === guest.sessionId).map(p => p.id), [ben.id]);
+  assert.ok(resumed.turn.order.some(entry => entry.playerId === ben.id));
+
+  await engine.leaveRoom(roomId, guest.sessionId, guest.resumeToken);
+  await assert.rejects(() => engine.resumeRoom(roomId, guest.sessionId, guest.resumeToken, {}), { code: 'SESSION_NOT_FOUND' });
+});
+
+test('Raum bleibt für die Wiederaufnahme erhalten, wenn alle Sitzungen abgelaufen sind', async () => {
+  const { engine, roomId, host, guest, anna } = await createTable();
+
+  // Host ist abgelaufen, der Gast geht - übrig bleibt nur die wiederaufnehmbare Sitzung
+  await editRoom(engine, roomId, data => {
+    data.participants.find(p => p.sessionId === host.sessionId).lastSeen = new Date(Date.now() - 6 * 60 * 1000);
+  });
+  await engine.leaveRoom(roomId, guest.sessionId, guest.resumeToken);
+  await engine.cleanup();
+  assert.equal((await engine.getRoomInfo(roomId)).participantCount, 0);
+
+  const resumed = await engine.resumeRoom(roomId, host.sessionId, host.resumeToken, {});
+  assert.equal(resumed.participantCount, 1);
+  assert.equal(resumed.hostSessionId, host.sessionId);
+  assert.deepEqual(resumed.players.map(player => player.id), [anna.id]);
+
+  // Nach 30 Minuten ist die Sitzung verloren und der Raum wird aufgeräumt
+  await editRoom(engine, roomId, data => {
+    data.participants = [];
+    data.departed = [[host.sessionId, { resumeToken: host.resumeToken, players: [], departedAt: new Date(Date.now() - 31 * 60 * 1000) }]];
+  });
+  await engine.cleanup();
+  await assert.rejects(() => engine.getRoomInfo(roomId), { code: 'ROOM_NOT_FOUND' });
+});
+
+test('Host: Einstellungen, Übergabe, Sperre, Entfernen und Steuerung', async () => {
+  const { engine, roomId, host, guest } = await createTable();
+  assert.equal(host.hostSessionId, host.sessionId);
+
+  await assert.rejects(() => engine.updateSettings(roomId, guest.sessionId, guest.resumeToken, { locked: true }), { code: 'FORBIDDEN' });
+  // Die sessionId des Hosts kennen alle - ohne seinen resumeToken geht nichts
+  await assert.rejects(() => engine.updateSettings(roomId, host.sessionId, guest.resumeToken, { locked: true }), { code: 'FORBIDDEN' });
+  await assert.rejects(() => engine.kickSession(roomId, host.sessionId, undefined, guest.sessionId), { code: 'FORBIDDEN' });
+  await assert.rejects(() => engine.updateSettings(roomId, host.sessionId, host.resumeToken, { controlPolicy: 'alle' }), { code: 'INVALID_REQUEST' });
+
+  await engine.updateSettings(roomId, host.sessionId, host.resumeToken, { controlPolicy: 'host' });
+  await assert.rejects(() => engine.roll(roomId, guest.sessionId, guest.resumeToken), { code: 'FORBIDDEN' });
+  await engine.updateSettings(roomId, host.sessionId, host.resumeToken, { controlPolicy: 'active-player' });
+  await engine.syncPlayers(roomId, guest.sessionId, guest.resumeToken, [{ clientId: 1, name: 'Ben', isActive: false }]);
+  await assert.rejects(() => engine.syncTimer(roomId, guest.sessionId, guest.resumeToken, { action: 'start', duration: 60 }), { code: 'FORBIDDEN' });
+
+  await engine.updateSettings(roomId, host.sessionId, host.resumeToken, { locked: true });
+  await assert.rejects(() => engine.joinRoom(roomId, {}), { code: 'ROOM_LOCKED' });
+
+  const transferred = await engine.transferHost(roomId, host.sessionId, host.resumeToken, guest.sessionId);
+  assert.equal(transferred.hostSessionId, guest.sessionId);
+  await assert.rejects(() => engine.kickSession(roomId, host.sessionId, host.resumeToken, guest.sessionId), { code: 'FORBIDDEN' });
+
+  await engine.kickSession(roomId, guest.sessionId, guest.resumeToken, host.sessionId);
+  await assert.rejects(() => engine.poll(roomId, host.sessionId, 0), { code: 'SESSION_KICKED' });
+  await assert.rejects(() => engine.resumeRoom(roomId, host.sessionId, host.resumeToken, {}), { code: 'SESSION_NOT_FOUND' });
+});
+
+test('Geht der Host, übernimmt die am längsten anwesende Sitzung', async () => {
+  const { engine, roomId, host, guest } = await createTable();
+  await engine.leaveRoom(roomId, host.sessionId, host.resumeToken);
+  assert.equal((await engine.poll(roomId, guest.sessionId, 0)).hostSessionId, guest.sessionId);
+});
+
+test('Zugreihenfolge: Zug beenden, automatisch weiter, erzwungene Reihenfolge', async () => {
+  const { engine, roomId, host, guest, anna, ben } = await createTable();
+  const messages = collectMessages(engine);
+  const { turn } = await engine.poll(roomId, host.sessionId, 0);
+  assert.deepEqual(turn.order.map(entry => entry.name), ['Anna', 'Ben']);
+  assert.equal(turn.current.playerId, anna.id);
+
+  await assert.rejects(() => engine.endTurn(roomId, guest.sessionId, guest.resumeToken), { code: 'NOT_YOUR_TURN' });
+  await engine.updateSettings(roomId, host.sessionId, host.resumeToken, { enforceTurns: true });
+  await assert.rejects(() => engine.roll(roomId, guest.sessionId, guest.resumeToken), { code: 'NOT_YOUR_TURN' });
+
+  const ended = await engine.endTurn(roomId, host.sessionId, host.resumeToken);
+  assert.equal(ended.turn.current.playerId, ben.id);
+  assert.equal(ended.turn.number, 2);
+  assert.ok(messages.some(message => message.type === 'turn-update' && message.turn.current.playerId === ben.id));
+
+  await engine.updateSettings(roomId, host.sessionId, host.resumeToken, { autoAdvance: true });
+  const rolled = await engine.roll(roomId, guest.sessionId, guest.resumeToken);
+  assert.equal(rolled.turn.current.playerId, anna.id);
+  assert.equal(rolled.roll.playerName, 'Ben');
+
+  // Fällt der Spieler am Zug weg, ist der nächste dran
+  await engine.leaveRoom(roomId, host.sessionId, host.resumeToken);
+  assert.equal((await engine.poll(roomId, guest.sessionId, 0)).turn.current.playerId, ben.id);
+});
+
+test('Wurf-Verlauf zählt alle Würfe mit Werfer und Aufteilungen', async () => {
+  const { engine, roomId, host, guest } = await createTable();
+  await engine.roll(roomId, host.sessionId, host.resumeToken);
+  await engine.syncDice(roomId, guest.sessionId, guest.resumeToken, [1, 1, 2, 2, 3]);
+
+  const { history, rollCount, stats } = await engine.getRoomHistory(roomId);
+  assert.equal(rollCount, 2);
+  assert.deepEqual(history.map(roll => [roll.number, roll.manual, roll.playerName]), [[1, false, 'Anna'], [2, true, 'Ben']]);
+  assert.deepEqual(history[1].values, [1, 1, 2, 2, 3]);
+  assert.ok(history[1].splits.list1.length > 0);
+  assert.ok(stats);
+  await assert.rejects(() => engine.getRoomHistory('NOPE42'), { code: 'ROOM_NOT_FOUND' });
+});
+
+test('Nachwürfe: nur die gewählten Würfel, höchstens rerollBudget pro Wurf', async () => {
+  const { engine, roomId, host } = await createTable();
+  await assert.rejects(() => engine.reroll(roomId, host.sessionId, host.resumeToken, [0]), { code: 'INVALID_REQUEST' });
+
+  const first = await engine.roll(roomId, host.sessionId, host.resumeToken);
+  const rerolled = await engine.reroll(roomId, host.sessionId, host.resumeToken, [1, 3], 'seed');
+  assert.deepEqual([0, 2, 4].map(i => rerolled.values[i]), [0, 2, 4].map(i => first.values[i]));
+  assert.deepEqual([rerolled.values[1], rerolled.values[3]], rerolled.rolled);
+  assert.equal(await FairRoll.verifyRoll(rerolled.proof, rerolled.rolled, first.nextRollHash), true);
+  assert.deepEqual(rerolled.roll.rerolled, [1, 3]);
+  assert.equal(rerolled.turn.rerolls, 1);
+
+  await assert.rejects(() => engine.reroll(roomId, host.sessionId, host.resumeToken, [5]), { code: 'INVALID_REQUEST' });
+  await assert.rejects(() => engine.reroll(roomId, host.sessionId, host.resumeToken, [1, 1]), { code: 'INVALID_REQUEST' });
+
+  await engine.reroll(roomId, host.sessionId, host.resumeToken, [0]);
+  await assert.rejects(() => engine.reroll(roomId, host.sessionId, host.resumeToken, [0]), { code: 'REROLL_LIMIT' });
+
+  // Ein voller Wurf setzt den Zähler zurück; Budget 0 schaltet Nachwürfe ab
+  assert.equal((await engine.roll(roomId, host.sessionId, host.resumeToken)).turn.rerolls, 0);
+  await engine.reroll(roomId, host.sessionId, host.resumeToken, [0]);
+  await engine.updateSettings(roomId, host.sessionId, host.resumeToken, { rerollBudget: 0 });
+  await assert.rejects(() => engine.reroll(roomId, host.sessionId, host.resumeToken, [0]), { code: 'REROLL_LIMIT', message: /abgeschaltet/ });
+  await assert.rejects(() => engine.updateSettings(roomId, host.sessionId, host.resumeToken, { rerollBudget: 6 }), { code: 'INVALID_REQUEST' });
+});
+
+test('Schwarze Würfel: dazulegen oder nachwürfeln, nur eigene und gehaltene', async () => {
+  const { engine, roomId, host, guest, anna, ben } = await createTable();
+  await assert.rejects(() => engine.useBlackDie(roomId, host.sessionId, host.resumeToken, anna.id, 'add'), { code: 'INVALID_REQUEST' });
+
+  const first = await engine.roll(roomId, host.sessionId, host.resumeToken);
+  await assert.rejects(() => engine.useBlackDie(roomId, host.sessionId, host.resumeToken, ben.id, 'add'), { message: /gehört nicht/ });
+  await assert.rejects(() => engine.useBlackDie(roomId, host.sessionId, host.resumeToken, anna.id, 'swap'), { code: 'INVALID_REQUEST' });
+  await assert.rejects(() => engine.useBlackDie(roomId, host.sessionId, host.resumeToken, anna.id, 'reroll', 9), { code: 'INVALID_REQUEST' });
+
+  const added = await engine.useBlackDie(roomId, host.sessionId, host.resumeToken, anna.id, 'add', null, 'seed');
+  assert.deepEqual(added.values, first.values);
+  assert.deepEqual(added.blackDiceValues, [added.rolled]);
+  assert.equal(await FairRoll.verifyRoll(added.proof, [added.rolled], first.nextRollHash), true);
+  assert.deepEqual(added.players.find(p => p.id === anna.id).blackDice, [false, false, false]);
+  assert.equal(added.turn.rerolls, 0);
+  assert.ok(added.roll.splits.list3);
+
+  await assert.rejects(() => engine.useBlackDie(roomId, host.sessionId, host.resumeToken, anna.id, 'add'), { message: /keinen schwarzen Würfel/ });
+
+  await engine.syncPlayers(roomId, guest.sessionId, guest.resumeToken, [{ id: ben.id, name: 'Ben', blackDice: [false, true, true] }]);
+  const replaced = await engine.useBlackDie(roomId, guest.sessionId, guest.resumeToken, ben.id, 'reroll', 2);
+  assert.equal(replaced.values[2], replaced.rolled);
+  assert.deepEqual(replaced.roll.rerolled, [2]);
+  assert.deepEqual(replaced.players.find(p => p.id === ben.id).blackDice, [false, false, true]);
+
+  // Der nächste volle Wurf nimmt die schwarzen Würfel wieder weg
+  assert.deepEqual((await engine.roll(roomId, host.sessionId, host.resumeToken)).roll.blackDiceValues, undefined);
+});
+
+// Automatischen Timer starten und die Zeit ablaufen lassen
+async function expireAutoTimer(timerExpiry) {
+  const table = await createTable();
+  const { engine, roomId, host } = table;
+  await engine.updateSettings(roomId, host.sessionId, host.resumeToken, { autoTimer: true, timerDuration: 30, timerExpiry });
+  const { turn } = await engine.roll(roomId, host.sessionId, host.resumeToken);
+  const messages = collectMessages(engine);
+
+  await editRoom(engine, roomId, data => { data.timerState.startedAt -= 31 * 1000; });
+  await engine.checkTimers();
+  await engine.checkTimers(); // Ablauf nur einmal
+  return { ...table, messages, turnBefore: turn };
+}
+
+test('Automatischer Timer startet mit dem Wurf und meldet den Ablauf einmal', async () => {
+  const { engine, roomId, host, anna, messages, turnBefore } = await expireAutoTimer('warn');
+  const expired = messages.filter(message => message.type === 'timer-sync');
+  assert.equal(expired.length, 1);
+  assert.equal(expired[0].action, 'expire');
+  assert.equal(expired[0].expiry, 'warn');
+  assert.equal(expired[0].player.playerId, anna.id);
+  assert.equal(expired[0].fromSession, undefined);
+
+  const snapshot = await engine.poll(roomId, host.sessionId, 0);
+  assert.equal(snapshot.timerState.duration, 30);
+  assert.equal(snapshot.timerState.expired, true);
+  assert.deepEqual(snapshot.turn.current, turnBefore.current);
+  assert.equal(snapshot.players.find(p => p.id === anna.id).health, 20);
+
+  await assert.rejects(() => engine.updateSettings(roomId, host.sessionId, host.resumeToken, { timerExpiry: 'boom' }), { code: 'INVALID_REQUEST' });
+  await assert.rejects(() => engine.updateSettings(roomId, host.sessionId, host.resumeToken, { timerDuration: 0 }), { code: 'INVALID_REQUEST' });
+});
+
+test('Timer-Ablauf "end-turn" gibt den Zug weiter, "penalty" kostet Lebenspunkte', async () => {
+  const endTurn = await expireAutoTimer('end-turn');
+  const afterEndTurn = await endTurn.engine.poll(endTurn.roomId, endTurn.host.sessionId, 0);
+  assert.equal(afterEndTurn.turn.current.playerId, endTurn.ben.id);
+  assert.ok(endTurn.messages.some(message => message.type === 'turn-update'));
+
+  const penalty = await expireAutoTimer('penalty');
+  const expired = penalty.messages.find(message => message.action === 'expire');
+  assert.equal(expired.player.health, 16);
+  assert.ok(penalty.messages.some(message => message.type === 'players-update'));
+  const afterPenalty = await penalty.engine.poll(penalty.roomId, penalty.host.sessionId, 0);
+  assert.equal(afterPenalty.players.find(p => p.id === penalty.anna.id).health, 16);
+  assert.equal(afterPenalty.turn.current.playerId, penalty.anna.id);
+});
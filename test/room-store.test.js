@@ -0,0 +1,130 @@
+// test/room-store.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryRoomStore, FileRoomStore, BlobRoomStore, createRoomStore } = require('../lib/room-store');
+
+function tempDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'ddd-room-store-test-'));
+}
+
+// Gemeinsame Schnittstelle: get/getEntry/set/delete/list
+async function checkStore(store) {
+  assert.equal(await store.get('ABC123'), null);
+  assert.deepEqual(await store.list(), []);
+
+  await store.set('ABC123', { id: 'ABC123', seq: 1, players: [['s1', [{ name: 'Anna' }]]] });
+  await store.set('XYZ789', { id: 'XYZ789', seq: 0 });
+  assert.deepEqual(await store.get('ABC123'), { id: 'ABC123', seq: 1, players: [['s1', [{ name: 'Anna' }]]] });
+  assert.deepEqual((await store.list()).sort(), ['ABC123', 'XYZ789']);
+
+  // Gespeichert wird eine Kopie, kein geteiltes Objekt
+  const loaded = await store.get('ABC123');
+  loaded.seq = 99;
+  assert.equal((await store.get('ABC123')).seq, 1);
+
+  await store.set('ABC123', { id: 'ABC123', seq: 2 });
+  assert.equal((await store.get('ABC123')).seq, 2);
+
+  await store.delete('ABC123');
+  await store.delete('ABC123'); // Fehlender Raum ist kein Fehler
+  assert.equal(await store.get('ABC123'), null);
+  assert.deepEqual(await store.list(), ['XYZ789']);
+}
+
+// Bedingtes Schreiben: ifVersion null nur für neue Räume, sonst nur auf
+// die zuletzt gelesene Version
+async function checkConditionalSet(store) {
+  assert.equal(await store.getEntry('ABC123'), null);
+  assert.equal(await store.set('ABC123', { id: 'ABC123', seq: 0 }, { ifVersion: null }), true);
+  assert.equal(await store.set('ABC123', { id: 'ABC123', seq: 9 }, { ifVersion: null }), false);
+
+  const entry = await store.getEntry('ABC123');
+  assert.deepEqual(entry.data, { id: 'ABC123', seq: 0 });
+  assert.equal(await store.set('ABC123', { id: 'ABC123', seq: 1 }, { ifVersion: entry.version }), true);
+  // Zweiter Schreiber mit demselben Stand verliert
+  assert.equal(await store.set('ABC123', { id: 'ABC123', seq: 2 }, { ifVersion: entry.version }), false);
+  assert.equal((await store.get('ABC123')).seq, 1);
+  assert.notEqual((await store.getEntry('ABC123')).version, entry.version);
+  await store.delete('ABC123');
+}
+
+test('MemoryRoomStore speichert, lädt und löscht Räume', async () => {
+  await checkStore(new MemoryRoomStore());
+});
+
+test('MemoryRoomStore schreibt nur auf die gelesene Version', async () => {
+  await checkConditionalSet(new MemoryRoomStore());
+});
+
+test('FileRoomStore speichert, lädt und löscht Räume', async () => {
+  const directory = tempDirectory();
+  try {
+    await checkStore(new FileRoomStore(directory));
+    assert.deepEqual(fs.readdirSync(directory), ['XYZ789.json']);
+
+    // Ein zweiter Store auf demselben Verzeichnis sieht die Räume (neue Instanz)
+    assert.deepEqual(await new FileRoomStore(directory).get('XYZ789'), { id: 'XYZ789', seq: 0 });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('FileRoomStore schreibt nur auf die gelesene Version, auch über Instanzen', async () => {
+  const directory = tempDirectory();
+  try {
+    await checkConditionalSet(new FileRoomStore(directory));
+
+    const first = new FileRoomStore(directory);
+    const second = new FileRoomStore(directory);
+    await first.set('ABC123', { id: 'ABC123', seq: 0 });
+    const { version } = await first.getEntry('ABC123');
+    const results = await Promise.all([
+      first.set('ABC123', { id: 'ABC123', seq: 1 }, { ifVersion: version }),
+      second.set('ABC123', { id: 'ABC123', seq: 2 }, { ifVersion: version })
+    ]);
+    assert.deepEqual(results.sort(), [false, true]);
+    assert.deepEqual(fs.readdirSync(directory), ['ABC123.json']); // Keine Sperr- oder Temp-Dateien
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('FileRoomStore lässt keine fremden Dateinamen zu', async () => {
+  const directory = tempDirectory();
+  try {
+    const store = new FileRoomStore(directory);
+    assert.equal(await store.get('../etc/passwd'), null);
+    assert.equal(await store.get('abc'), null);
+    await assert.rejects(() => store.set('../X', {}), /Ungültige Raum-ID/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('createRoomStore wählt den Store per Option, Umgebung oder Standard', () => {
+  const previous = process.env.DDD_ROOM_STORE;
+  const directory = tempDirectory();
+  try {
+    delete process.env.DDD_ROOM_STORE;
+    assert.ok(createRoomStore() instanceof MemoryRoomStore);
+    assert.ok(createRoomStore({ defaultType: 'blobs' }) instanceof BlobRoomStore);
+
+    process.env.DDD_ROOM_STORE = 'file';
+    const store = createRoomStore({ defaultType: 'blobs', directory });
+    assert.ok(store instanceof FileRoomStore);
+    assert.equal(store.directory, directory);
+
+    assert.ok(createRoomStore({ type: 'memory' }) instanceof MemoryRoomStore);
+    assert.throws(() => createRoomStore({ type: 'sqlite' }), /Unbekannter Room-Store/);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.DDD_ROOM_STORE;
+    } else {
+      process.env.DDD_ROOM_STORE = previous;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
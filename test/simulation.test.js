@@ -0,0 +1,57 @@
+// test/simulation.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const DiceMath = require('../dice-math');
+const DiceSimulation = require('../simulation');
+
+test('simulate ist mit gleichem Seed reproduzierbar', () => {
+  const run = () => DiceSimulation.simulate({ rolls: 500, random: DiceSimulation.createRandom(42) });
+  assert.deepEqual(run(), run());
+
+  const result = run();
+  assert.equal(result.rolls, 500);
+  assert.equal(Object.values(result.splitCounts.list1).reduce((sum, rolls) => sum + rolls, 0), 500);
+  assert.ok(result.paschRolls.base <= result.paschRolls.all);
+});
+
+test('compareWithExact: Simulation liegt nahe an der exakten Berechnung', () => {
+  const result = DiceSimulation.simulate({ rolls: 20000, random: DiceSimulation.createRandom(7) });
+  const rows = DiceSimulation.compareWithExact(result);
+
+  rows.filter(row => row.exact !== null).forEach(row => {
+    const tolerance = row.section === 'Aufteilungen pro Wurf' ? 0.1 : 0.02;
+    assert.ok(Math.abs(row.simulated - row.exact) < tolerance, `${row.section} ${row.key}: ${row.simulated} vs ${row.exact}`);
+  });
+
+  // Pasch exakt: 1 - 6·5·4·3 / 6^4
+  const pasch = rows.find(row => row.section === 'Pasch' && row.key === 'Würfel 1–4');
+  assert.equal(pasch.exact, 1 - 360 / 1296);
+});
+
+test('compareWithExact ohne Zusatzwürfel und toCSV', () => {
+  const ruleset = { diceCount: 6, sides: 6, grouping: 'three-pairs' };
+  const result = DiceSimulation.simulate({ ruleset, rolls: 100, random: DiceSimulation.createRandom(1) });
+  const rows = DiceSimulation.compareWithExact(result);
+  assert.ok(rows.every(row => !/Liste 2|alle Würfel|Alle/.test(`${row.section} ${row.key}`)));
+
+  const lines = DiceSimulation.toCSV(rows, result).trim().split('\n');
+  assert.equal(lines[0], `# ${DiceMath.rulesetKey(ruleset)}, 100 Würfe`);
+  assert.equal(lines[1], 'Bereich,Wert,Simuliert,Exakt,Abweichung');
+  assert.equal(lines.length, rows.length + 2);
+  assert.match(lines[2], /^Aufteilungen pro Wurf,Liste 1 \(Mittel\),\d+\.\d{6},\d+\.\d{6},-?\d+\.\d{6}$/);
+});
+
+test('Kommandozeile lehnt ungültige Anzahl der Würfe ab', () => {
+  const script = path.join(__dirname, '..', 'simulation.js');
+  for (const rolls of ['abc', '-5', '2.5', '0']) {
+    const run = spawnSync(process.execPath, [script, rolls], { encoding: 'utf8' });
+    assert.equal(run.status, 1, rolls);
+    assert.match(run.stderr, /Anzahl der Würfe muss eine ganze Zahl ab 1 sein/, rolls);
+  }
+
+  const run = spawnSync(process.execPath, [script, '10', '--csv', '--seed=1'], { encoding: 'utf8' });
+  assert.equal(run.status, 0);
+  assert.match(run.stdout, /, 10 Würfe/);
+});
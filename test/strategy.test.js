@@ -0,0 +1,75 @@
+// test/strategy.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiceMath = require('../dice-math');
+const DiceStrategy = require('../strategy');
+
+function player(overrides = {}) {
+  return {
+    health: 20,
+    blackDice: [false, false, false],
+    treasure: { heart: [false, false, false], torch: [false, false], dice: [false, false, false] },
+    treasureCategories: { heart: false, torch: false, dice: false },
+    ...overrides
+  };
+}
+
+test('playerState liest Lebenspunkte, schwarze Würfel und offene Schätze', () => {
+  const state = DiceStrategy.playerState(player({
+    health: 'dead',
+    blackDice: [true, false, true],
+    treasure: { heart: [true, false, false], torch: [false, false], dice: [false, false, false] },
+    treasureCategories: { heart: true, torch: true, dice: false }
+  }));
+
+  assert.deepEqual(state, {
+    health: 0,
+    healthRatio: 0,
+    blackDice: 2,
+    treasureCategories: ['heart', 'torch'],
+    openTreasure: 4
+  });
+  assert.equal(DiceStrategy.playerState(null).blackDice, null);
+});
+
+test('rankSplits bewertet alle Aufteilungen, mit und ohne Zusatzwürfel', () => {
+  const lists = DiceMath.analyzeRoll([1, 2, 3, 4, 6]);
+  const all = lists.list1.length + lists.list2.length;
+
+  // Zusatzwürfel gehören zum Wurf - schwarze Würfel spielen dafür keine Rolle
+  for (const strategy of DiceStrategy.listStrategies()) {
+    for (const state of [player(), player({ blackDice: [true, false, false] }), null]) {
+      const ranking = DiceStrategy.rankSplits(lists, state, strategy.id);
+      assert.equal(ranking.length, all, strategy.id);
+      ranking.slice(1).forEach((entry, i) => assert.ok(ranking[i].score >= entry.score, strategy.id));
+      ranking.forEach(entry => assert.ok(Number.isFinite(entry.score) && Array.isArray(entry.reasons), strategy.id));
+    }
+  }
+
+  // Nur Aufteilungen mit Zusatzwürfel: trotzdem eine Empfehlung
+  const extraOnly = DiceStrategy.recommend({ list1: [], list2: lists.list2 }, player(), 'greedy');
+  assert.equal(extraOnly.best.list, 'list2');
+});
+
+test('Strategien unterscheiden sich und lassen sich ergänzen', () => {
+  const lists = DiceMath.analyzeRoll([1, 1, 6, 6, 3]);
+
+  // Gleiche Gesamtsumme: Gierig nimmt den Pasch, Vorsichtig die ausgeglichenen Summen
+  const greedy = DiceStrategy.recommend(lists, player(), 'greedy').best;
+  const cautious = DiceStrategy.recommend(lists, player({ health: 2 }), 'risk-averse').best;
+  assert.deepEqual(greedy.sums.slice().sort((a, b) => a - b), [2, 12]);
+  assert.deepEqual(cautious.sums, [7, 7]);
+
+  DiceStrategy.registerStrategy('lowest', {
+    label: 'Niedrig',
+    score: features => ({ score: -features.total, reasons: [] })
+  });
+  const lowest = DiceStrategy.recommend(lists, player(), 'lowest');
+  assert.equal(lowest.strategy.id, 'lowest');
+  assert.equal(lowest.explanation, `Niedrig: Summen ${lowest.best.sums.join(' + ')}`);
+
+  // Unbekannte Strategie fällt auf die Standardstrategie zurück
+  assert.equal(DiceStrategy.getStrategy('gibt-es-nicht').id, DiceStrategy.DEFAULT_STRATEGY);
+  assert.throws(() => DiceStrategy.registerStrategy('kaputt', { label: 'Kaputt' }), /score/);
+  assert.equal(DiceStrategy.recommend({ list1: [], list2: [] }, player()), null);
+});
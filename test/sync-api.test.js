@@ -0,0 +1,28 @@
+// test/sync-api.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RoomEngine } = require('../lib/room-engine');
+const { MemoryRoomStore } = require('../lib/room-store');
+const { createSyncApi, redactBody } = require('../lib/sync-api');
+
+test('redactBody verbirgt resumeToken und clientSeed', () => {
+  const body = { roomId: 'ABC123', sessionId: 's1', resumeToken: 'geheim', clientSeed: 'abc' };
+  assert.deepEqual(redactBody(body), { roomId: 'ABC123', sessionId: 's1', resumeToken: '[redacted]', clientSeed: '[redacted]' });
+  assert.equal(body.resumeToken, 'geheim');
+  assert.deepEqual(redactBody({ roomId: 'ABC123' }), { roomId: 'ABC123' });
+  assert.equal(redactBody(null), null);
+});
+
+test('Das Request-Log enthält keinen resumeToken', async t => {
+  const api = createSyncApi(new RoomEngine({ store: new MemoryRoomStore() }));
+  const created = await api.handle({ method: 'POST', path: '/create-room', body: {} });
+  const { roomId, sessionId, resumeToken } = created.body;
+
+  const logged = [];
+  t.mock.method(console, 'log', (...args) => logged.push(JSON.stringify(args)));
+  const resumed = await api.handle({ method: 'POST', path: '/resume', body: { roomId, sessionId, resumeToken } });
+
+  assert.equal(resumed.statusCode, 200);
+  assert.ok(logged.length > 0);
+  assert.ok(logged.every(line => !line.includes(resumeToken)));
+});
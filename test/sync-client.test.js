@@ -0,0 +1,82 @@
+// test/sync-client.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { DDDSyncClient, PollingTransport, SocketTransport } = require('../sync-client');
+
+// Ohne automatischen Verbindungsaufbau im Konstruktor
+class TestClient extends DDDSyncClient {
+  init() {}
+
+  async makeRequest(endpoint) {
+    this.requests = (this.requests || []).concat(endpoint);
+    return { status: 'healthy' };
+  }
+}
+
+// Nachbau des Socket.IO-Clients: connect() verbindet oder scheitert,
+// api-request beantwortet `respond`
+function fakeIo({ fail = false, respond = () => ({ success: true }) } = {}) {
+  const calls = [];
+  const io = (url, options) => {
+    const socket = new EventEmitter();
+    socket.io = new EventEmitter();
+    socket.connected = false;
+    socket.close = () => { socket.connected = false; };
+    socket.timeout = () => ({
+      emit: (event, payload, callback) => {
+        calls.push({ event, payload });
+        callback(null, respond(payload));
+      }
+    });
+    calls.push({ url, options });
+    setImmediate(() => {
+      if (fail) {
+        socket.emit('connect_error', new Error('refused'));
+      } else {
+        socket.connected = true;
+        socket.emit('connect');
+      }
+    });
+    return socket;
+  };
+  return { io, calls };
+}
+
+test('WebSocket wird bevorzugt, API-Aufrufe laufen über api-request', async (t) => {
+  const { io, calls } = fakeIo({
+    respond: ({ path }) => (path === '/poll'
+      ? { success: false, code: 'SESSION_NOT_FOUND', error: 'weg' }
+      : { success: true, roomId: 'ABC123' })
+  });
+  global.io = io;
+  t.after(() => { delete global.io; });
+
+  const client = new TestClient('http://localhost/api/sync', { socketUrl: 'http://localhost:3001' });
+  const transport = await client.selectTransport();
+  assert.ok(transport instanceof SocketTransport);
+  assert.equal(calls[0].url, 'http://localhost:3001');
+  assert.equal(client.requests, undefined);
+
+  client.setTransport(transport);
+  assert.deepEqual(await client.send('/create-room', {}), { success: true, roomId: 'ABC123' });
+  assert.deepEqual(calls[1], { event: 'api-request', payload: { path: '/create-room', method: 'POST', body: {} } });
+  await assert.rejects(() => client.send('/poll', {}), { message: 'weg', code: 'SESSION_NOT_FOUND' });
+  transport.close();
+});
+
+test('Ohne erreichbaren Socket-Server oder mit transport "polling" wird gepollt', async (t) => {
+  const { io, calls } = fakeIo({ fail: true });
+  global.io = io;
+  t.after(() => { delete global.io; });
+
+  const client = new TestClient('http://localhost/api/sync', { socketUrl: 'http://localhost:3001' });
+  const transport = await client.selectTransport();
+  assert.ok(transport instanceof PollingTransport);
+  assert.deepEqual(client.requests, ['/health']);
+  assert.equal(calls.length, 1);
+
+  const pollingOnly = new TestClient('http://localhost/api/sync', { socketUrl: 'http://localhost:3001', transport: 'polling' });
+  assert.ok(await pollingOnly.selectTransport() instanceof PollingTransport);
+  assert.equal(calls.length, 1);
+});
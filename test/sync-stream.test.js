@@ -0,0 +1,75 @@
+// test/sync-stream.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { RoomEngine } = require('../lib/room-engine');
+const { MemoryRoomStore } = require('../lib/room-store');
+const { collectStream, openStream } = require('../lib/sync-stream');
+
+// Nachgebaute Express-Antwort: sammelt alles Geschriebene
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.ended = false;
+  res.write = chunk => res.chunks.push(chunk);
+  res.end = chunk => {
+    if (chunk) res.chunks.push(chunk);
+    res.ended = true;
+  };
+  return res;
+}
+
+test('openStream liefert Snapshot und neue Nachrichten, close räumt auf', async () => {
+  const engine = new RoomEngine({ store: new MemoryRoomStore() });
+  const host = await engine.createRoom({});
+  const guest = await engine.joinRoom(host.roomId, {});
+  const res = fakeResponse();
+
+  await openStream(engine, { roomId: host.roomId, sessionId: host.sessionId, afterSeq: null }, res);
+  assert.ok(res.chunks.some(chunk => chunk.includes('event: snapshot')));
+
+  await engine.syncDice(host.roomId, guest.sessionId, guest.resumeToken, [1, 2, 3, 4, 5]);
+  assert.ok(res.chunks.some(chunk => chunk.includes('"type":"dice-roll"')));
+
+  res.emit('close');
+  assert.equal(engine.listenerCount('message'), 0);
+});
+
+test('openStream räumt auf, wenn der Client während des ersten Polls geht', async t => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const engine = new EventEmitter();
+  let resolvePoll;
+  engine.poll = () => new Promise(resolve => { resolvePoll = resolve; });
+  engine.touch = t.mock.fn(async () => ({}));
+  const res = fakeResponse();
+
+  const opened = openStream(engine, { roomId: 'ABC123', sessionId: 's1', afterSeq: null }, res);
+  res.emit('close');
+  resolvePoll({ messages: [], seq: 0 });
+  await opened;
+
+  assert.equal(engine.listenerCount('message'), 0);
+  assert.deepEqual(res.chunks, []);
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(engine.touch.mock.callCount(), 0);
+});
+
+test('collectStream wartet ohne zu schreiben und pollt erst bei neuen Nachrichten', async t => {
+  const engine = new RoomEngine({ store: new MemoryRoomStore() });
+  const host = await engine.createRoom({});
+  const guest = await engine.joinRoom(host.roomId, {});
+  const { seq } = await engine.poll(host.roomId, guest.sessionId, null);
+  const set = t.mock.method(engine.store, 'set');
+  const poll = t.mock.method(engine, 'poll');
+
+  const idle = await collectStream(engine, { roomId: host.roomId, sessionId: guest.sessionId, afterSeq: seq }, 2500);
+  assert.ok(idle.includes('event: snapshot'));
+  assert.equal(poll.mock.callCount(), 1);
+  assert.equal(set.mock.callCount(), 0);
+
+  setTimeout(() => engine.syncDice(host.roomId, host.sessionId, host.resumeToken, [1, 2, 3, 4, 5]), 200);
+  const busy = await collectStream(engine, { roomId: host.roomId, sessionId: guest.sessionId, afterSeq: seq }, 2500);
+  assert.ok(busy.includes('"type":"dice-roll"'));
+  assert.equal(poll.mock.callCount(), 3);
+  assert.equal(set.mock.callCount(), 1);
+});
@@ -0,0 +1,83 @@
+// test/timer-alerts.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TimerAlerts = require('../timer-alerts');
+
+// Nachgebauter AudioContext: zählt Kontexte und gespielte Noten
+function fakeEnvironment({ vibrate = true } = {}) {
+  const env = { contexts: 0, notes: [], vibrations: [] };
+  env.AudioContext = class {
+    constructor() {
+      env.contexts++;
+      this.state = 'running';
+      this.currentTime = 0;
+      this.destination = {};
+    }
+    createOscillator() {
+      const oscillator = { frequency: {}, connect() {}, start() {}, stop() {} };
+      env.notes.push(oscillator);
+      return oscillator;
+    }
+    createGain() {
+      return { gain: { setValueAtTime(value) { this.value = value; }, exponentialRampToValueAtTime() {} }, connect() {} };
+    }
+  };
+  env.navigator = vibrate ? { vibrate: pattern => env.vibrations.push(pattern) } : {};
+  return env;
+}
+
+test('normalizeSettings ergänzt Standardwerte und verwirft Unbekanntes', () => {
+  assert.deepEqual(TimerAlerts.normalizeSettings(null), TimerAlerts.DEFAULT_SETTINGS);
+  assert.deepEqual(
+    TimerAlerts.normalizeSettings({ sound: 'gong', volume: 3, muted: 'ja', vibrate: false }),
+    { ...TimerAlerts.DEFAULT_SETTINGS, sound: 'gong', volume: 1, vibrate: false }
+  );
+  assert.equal(TimerAlerts.normalizeSettings({ sound: 'toString' }).sound, TimerAlerts.DEFAULT_SETTINGS.sound);
+  assert.equal(TimerAlerts.normalizeSettings({ volume: -1 }).volume, 0);
+});
+
+test('warningFor meldet die Schwellen 30 s und 10 s genau einmal', () => {
+  assert.equal(TimerAlerts.warningFor(31, 30), 'warning');
+  assert.equal(TimerAlerts.warningFor(30, 29), null);
+  assert.equal(TimerAlerts.warningFor(11, 10), 'danger');
+  assert.equal(TimerAlerts.warningFor(10, 9), null);
+  // Tab im Hintergrund: beide Schwellen übersprungen
+  assert.equal(TimerAlerts.warningFor(45, 8), 'danger');
+  // Ende, Neustart und Zusatzzeit sind keine Warnung
+  assert.equal(TimerAlerts.warningFor(1, 0), null);
+  assert.equal(TimerAlerts.warningFor(5, 60), null);
+});
+
+test('Ein AudioContext für alle Signale, Stumm und Warnungen abschaltbar', () => {
+  const env = fakeEnvironment();
+  const player = TimerAlerts.createPlayer(env);
+
+  player.alert('finished', { sound: 'alarm' });
+  player.alert('warning', {});
+  player.alert('danger', {});
+  assert.equal(env.contexts, 1);
+  assert.equal(env.notes.length, TimerAlerts.SOUNDS.alarm.notes.length + 1 + 2);
+  assert.equal(env.vibrations.length, 3);
+
+  env.notes.length = 0;
+  env.vibrations.length = 0;
+  player.alert('warning', { warnings: false });
+  player.alert('finished', { muted: true });
+  player.alert('finished', { volume: 0, vibrate: false });
+  assert.equal(env.notes.length, 0);
+  assert.equal(env.vibrations.length, 1);
+
+  // Probe spielt auch stumm geschaltet
+  assert.equal(player.preview({ muted: true }), true);
+  assert.equal(env.notes.length, 1);
+});
+
+test('Ohne Audio und Vibration API bleibt es still', () => {
+  const player = TimerAlerts.createPlayer({ navigator: {} });
+  assert.doesNotThrow(() => player.alert('finished', {}));
+  assert.equal(player.preview({}), false);
+
+  const env = fakeEnvironment({ vibrate: false });
+  TimerAlerts.createPlayer(env).alert('finished', {});
+  assert.equal(env.notes.length, 1);
+});
@@ -0,0 +1,70 @@
+// test/timer-state.test.js - Aufruf: npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TimerState = require('../timer-state');
+
+test('Restzeit ergibt sich aus Startzeit, Dauer und Zusatzzeit', () => {
+  const running = TimerState.applyAction(TimerState.create(), 'start', { duration: 60 }, 1000);
+
+  assert.equal(TimerState.remainingSeconds(running, 1000), 60);
+  assert.equal(TimerState.remainingSeconds(running, 1001), 60);
+  assert.equal(TimerState.remainingSeconds(running, 2000), 59);
+  assert.equal(TimerState.remainingSeconds(running, 70000), 0);
+
+  const added = TimerState.applyAction(running, 'add', {}, 31000);
+  assert.equal(added.extraTime, TimerState.ADD_SECONDS);
+  assert.equal(TimerState.remainingSeconds(added, 31000), 45);
+  assert.equal(TimerState.remainingSeconds(TimerState.create(), 1000), 0);
+});
+
+test('Pause hält die Restzeit an, Fortsetzen verschiebt den Start', () => {
+  const running = TimerState.applyAction(TimerState.create(), 'start', { duration: 60 }, 0);
+  const paused = TimerState.applyAction(running, 'pause', {}, 20000);
+
+  assert.equal(TimerState.remainingSeconds(paused, 20000), 40);
+  assert.equal(TimerState.remainingSeconds(paused, 500000), 40);
+
+  const resumed = TimerState.applyAction(paused, 'resume', {}, 100000);
+  assert.equal(resumed.isRunning, true);
+  assert.equal(resumed.pausedAt, null);
+  assert.equal(TimerState.remainingSeconds(resumed, 100000), 40);
+  assert.equal(TimerState.remainingSeconds(resumed, 110000), 30);
+
+  // "+15 s" geht auch in der Pause
+  assert.equal(TimerState.remainingSeconds(TimerState.applyAction(paused, 'add', {}, 30000), 30000), 55);
+});
+
+test('Neustart nimmt die gewählte Dauer ohne Zusatzzeit, Stop behält sie', () => {
+  let state = TimerState.applyAction(TimerState.create(), 'start', { duration: 120 }, 0);
+  state = TimerState.applyAction(state, 'add', { seconds: 30 }, 1000);
+
+  const restarted = TimerState.applyAction(state, 'restart', {}, 200000);
+  assert.equal(restarted.extraTime, 0);
+  assert.equal(TimerState.remainingSeconds(restarted, 200000), 120);
+
+  const stopped = TimerState.applyAction(state, 'stop', {}, 5000);
+  assert.deepEqual(stopped, TimerState.create(120));
+  assert.equal(TimerState.getActionError(stopped, 'restart', {}, 5000), null);
+});
+
+test('getActionError lehnt unpassende Aktionen ab', () => {
+  const idle = TimerState.create();
+  const running = TimerState.applyAction(idle, 'start', { duration: 60 }, 0);
+  const paused = TimerState.applyAction(running, 'pause', {}, 1000);
+
+  assert.equal(TimerState.getActionError(idle, 'start', { duration: 60 }, 0), null);
+  assert.match(TimerState.getActionError(idle, 'start', { duration: 0 }, 0), /duration/);
+  assert.match(TimerState.getActionError(idle, 'start', { duration: '60' }, 0), /duration/);
+  assert.match(TimerState.getActionError(idle, 'start', { duration: TimerState.MAX_SECONDS + 1 }, 0), /duration/);
+  assert.match(TimerState.getActionError(idle, 'pause', {}, 0), /läuft nicht/);
+  assert.match(TimerState.getActionError(running, 'resume', {}, 0), /nicht pausiert/);
+  assert.match(TimerState.getActionError(paused, 'pause', {}, 1000), /läuft nicht/);
+  assert.equal(TimerState.getActionError(paused, 'resume', {}, 1000), null);
+  assert.match(TimerState.getActionError(idle, 'explode', {}, 0), /Unbekannte/);
+
+  // Abgelaufen: keine Pause und keine Zusatzzeit mehr, Neustart schon
+  assert.match(TimerState.getActionError(running, 'pause', {}, 60000), /läuft nicht/);
+  assert.match(TimerState.getActionError(running, 'add', {}, 60000), /läuft nicht/);
+  assert.equal(TimerState.getActionError(running, 'restart', {}, 60000), null);
+  assert.match(TimerState.getActionError(running, 'add', { seconds: TimerState.MAX_SECONDS }, 0), /höchstens/);
+});
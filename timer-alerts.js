@@ -0,0 +1,170 @@
+// timer-alerts.js - Signale des Timers: Töne, Vibration, Warnungen
+//
+// Einstellungen pro Gerät ({ sound, volume, muted, warnings, vibrate }) und
+// ein Abspieler mit einem einzigen AudioContext für alle Signale - Browser
+// erlauben nur wenige davon und geben den Ton erst nach einer Nutzeraktion
+// frei (unlock()). Gewarnt wird bei 30 und 10 Sekunden, passend zu den
+// CSS-Klassen warning/danger der Anzeige.
+//
+// Läuft im Browser (window.TimerAlerts) und in Node (require, zum Testen mit
+// nachgebautem AudioContext/navigator).
+const TimerAlerts = (() => {
+  const STORAGE_KEY = 'ddd-timer-alerts';
+  const WARNING_SECONDS = 30;
+  const DANGER_SECONDS = 10;
+  const MAX_GAIN = 0.6; // Lautstärke 1 - 0.5 entspricht dem früheren festen Piepton
+
+  // Töne: Folge von Noten { frequency (Hz), duration (s), type, delay (s) }
+  const SOUNDS = {
+    beep: { label: 'Piepton', notes: [{ frequency: 800, duration: 1, type: 'sine' }] },
+    chime: {
+      label: 'Glocke',
+      notes: [
+        { frequency: 880, duration: 0.6, type: 'triangle' },
+        { frequency: 1320, duration: 1, type: 'triangle', delay: 0.3 }
+      ]
+    },
+    alarm: {
+      label: 'Alarm',
+      notes: [0, 0.25, 0.5, 0.75].map((delay, i) => ({ frequency: i % 2 ? 600 : 900, duration: 0.2, type: 'square', delay }))
+    },
+    gong: { label: 'Gong', notes: [{ frequency: 196, duration: 2.5, type: 'sine' }] }
+  };
+
+  const WARNING_NOTES = {
+    warning: [{ frequency: 660, duration: 0.15, type: 'sine' }],
+    danger: [
+      { frequency: 880, duration: 0.12, type: 'sine' },
+      { frequency: 880, duration: 0.12, type: 'sine', delay: 0.2 }
+    ]
+  };
+
+  const VIBRATION = {
+    warning: [100],
+    danger: [100, 80, 100],
+    finished: [400, 200, 400, 200, 400]
+  };
+
+  const DEFAULT_SETTINGS = { sound: 'beep', volume: 0.5, muted: false, warnings: true, vibrate: true };
+
+  // Gespeicherte oder übergebene Einstellungen - Unbekanntes fällt auf den Standard zurück
+  function normalizeSettings(settings) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    const volume = Number(source.volume);
+    return {
+      sound: Object.prototype.hasOwnProperty.call(SOUNDS, source.sound) ? source.sound : DEFAULT_SETTINGS.sound,
+      volume: Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 1) : DEFAULT_SETTINGS.volume,
+      muted: typeof source.muted === 'boolean' ? source.muted : DEFAULT_SETTINGS.muted,
+      warnings: typeof source.warnings === 'boolean' ? source.warnings : DEFAULT_SETTINGS.warnings,
+      vibrate: typeof source.vibrate === 'boolean' ? source.vibrate : DEFAULT_SETTINGS.vibrate
+    };
+  }
+
+  // Warnung beim Herunterzählen von `previous` auf `remaining` Sekunden:
+  // 'warning', 'danger' oder null. Übersprungene Schwellen (Tab im
+  // Hintergrund) melden nur die letzte.
+  function warningFor(previous, remaining) {
+    if (remaining <= 0 || remaining >= previous) return null;
+    if (previous > DANGER_SECONDS && remaining <= DANGER_SECONDS) return 'danger';
+    if (previous > WARNING_SECONDS && remaining <= WARNING_SECONDS) return 'warning';
+    return null;
+  }
+
+  // env: Objekt mit AudioContext und navigator (Standard: globalThis)
+  function createPlayer(env = globalThis) {
+    let context = null;
+
+    function getContext() {
+      const AudioContextClass = env.AudioContext || env.webkitAudioContext;
+      if (!context && AudioContextClass) {
+        context = new AudioContextClass();
+      }
+      if (context && context.state === 'suspended') {
+        context.resume();
+      }
+      return context;
+    }
+
+    function playNotes(notes, volume) {
+      const gain = volume * MAX_GAIN;
+      if (gain <= 0) return false;
+
+      try {
+        const audio = getContext();
+        if (!audio) return false;
+        notes.forEach(note => playNote(audio, note, gain));
+        return true;
+      } catch (error) {
+        // Fallback: Browser unterstützt kein Audio
+        console.log('Audio nicht verfügbar');
+        return false;
+      }
+    }
+
+    function playNote(audio, note, gain) {
+      const start = audio.currentTime + (note.delay || 0);
+      const oscillator = audio.createOscillator();
+      const gainNode = audio.createGain();
+
+      oscillator.connect(gainNode);
+      gainNode.connect(audio.destination);
+      oscillator.frequency.value = note.frequency;
+      oscillator.type = note.type;
+
+      gainNode.gain.setValueAtTime(gain, start);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, start + note.duration);
+      oscillator.start(start);
+      oscillator.stop(start + note.duration);
+    }
+
+    function vibrate(pattern) {
+      if (env.navigator && typeof env.navigator.vibrate === 'function') {
+        env.navigator.vibrate(pattern);
+      }
+    }
+
+    // level: 'warning' | 'danger' | 'finished'
+    function alert(level, settings) {
+      const options = normalizeSettings(settings);
+      if (level !== 'finished' && !options.warnings) return;
+
+      if (!options.muted) {
+        playNotes(level === 'finished' ? SOUNDS[options.sound].notes : WARNING_NOTES[level], options.volume);
+      }
+      if (options.vibrate) {
+        vibrate(VIBRATION[level]);
+      }
+    }
+
+    return {
+      alert,
+      // Ton zum Ausprobieren in den Einstellungen, auch stumm geschaltet
+      preview: settings => {
+        const options = normalizeSettings(settings);
+        return playNotes(SOUNDS[options.sound].notes, options.volume);
+      },
+      unlock: () => { getContext(); }
+    };
+  }
+
+  return {
+    STORAGE_KEY,
+    WARNING_SECONDS,
+    DANGER_SECONDS,
+    SOUNDS,
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    warningFor,
+    createPlayer
+  };
+})();
+
+// Export für Modul-Systeme
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TimerAlerts;
+}
+
+// Global verfügbar machen für Browser
+if (typeof window !== 'undefined') {
+  window.TimerAlerts = TimerAlerts;
+}
@@ -0,0 +1,108 @@
+// timer-state.js - Zustand des gemeinsamen Timers
+//
+// { isRunning, isPaused, duration, extraTime, startedAt, pausedAt }:
+// duration ist die gewählte Zeit, extraTime die per "+15 s" dazugekommene
+// (beides Sekunden). startedAt/pausedAt sind Zeitpunkte in ms auf der Uhr
+// dessen, der den Zustand führt - im Raum der Server. Die Restzeit rechnet
+// jeder selbst aus (remainingSeconds), der Zustand ändert sich nur bei den
+// Aktionen start, stop, pause, resume, add und restart.
+//
+// Die Room-Engine und die Seite (ohne Raum) nutzen dieselben Übergänge.
+//
+// Läuft im Browser (window.TimerState) und in Node (require).
+const TimerState = (() => {
+  const MAX_SECONDS = 60 * 60;
+  const ADD_SECONDS = 15;
+  const ACTIONS = ['start', 'stop', 'pause', 'resume', 'add', 'restart'];
+
+  function create(duration = 60) {
+    return { isRunning: false, isPaused: false, duration, extraTime: 0, startedAt: null, pausedAt: null };
+  }
+
+  // Restzeit in ms; ein pausierter Timer steht beim Stand von pausedAt
+  function remainingMs(state, now) {
+    if (!state || (!state.isRunning && !state.isPaused) || state.startedAt === null) return 0;
+    const endsAt = state.startedAt + (state.duration + (state.extraTime || 0)) * 1000;
+    return Math.max(0, endsAt - (state.isPaused ? state.pausedAt : now));
+  }
+
+  // Angezeigte Sekunden: aufgerundet, damit 00:00 erst am Ende erscheint
+  function remainingSeconds(state, now) {
+    return Math.ceil(remainingMs(state, now) / 1000);
+  }
+
+  function isValidSeconds(seconds) {
+    return Number.isInteger(seconds) && seconds > 0 && seconds <= MAX_SECONDS;
+  }
+
+  // Fehlermeldung oder null. options: { duration } für start, { seconds } für add
+  function getActionError(state, action, options = {}, now = Date.now()) {
+    if (!ACTIONS.includes(action)) {
+      return `Unbekannte Timer-Aktion: ${action}`;
+    }
+    const active = remainingMs(state, now) > 0;
+
+    switch (action) {
+      case 'start':
+        return isValidSeconds(options.duration) ? null : `duration muss eine ganze Zahl von 1 bis ${MAX_SECONDS} Sekunden sein`;
+      case 'restart':
+        return isValidSeconds(state.duration) ? null : 'Keine Timer-Dauer zum Neustarten';
+      case 'pause':
+        return state.isRunning && active ? null : 'Der Timer läuft nicht';
+      case 'resume':
+        return state.isPaused ? null : 'Der Timer ist nicht pausiert';
+      case 'add': {
+        const seconds = options.seconds === undefined ? ADD_SECONDS : options.seconds;
+        if (!active) return 'Der Timer läuft nicht';
+        if (!isValidSeconds(seconds) || state.duration + (state.extraTime || 0) + seconds > MAX_SECONDS) {
+          return `Der Timer kann höchstens ${MAX_SECONDS} Sekunden lang sein`;
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Neuer Zustand nach der Aktion - vorher mit getActionError() prüfen
+  function applyAction(state, action, options = {}, now = Date.now()) {
+    switch (action) {
+      case 'start':
+        return { ...create(options.duration), isRunning: true, startedAt: now };
+      case 'restart':
+        return { ...create(state.duration), isRunning: true, startedAt: now };
+      case 'stop':
+        return create(state.duration);
+      case 'pause':
+        return { ...state, isRunning: false, isPaused: true, pausedAt: now };
+      case 'resume':
+        // Startzeit um die Pause verschieben, dann gilt dieselbe Rechnung wie vorher
+        return { ...state, isRunning: true, isPaused: false, startedAt: state.startedAt + (now - state.pausedAt), pausedAt: null };
+      case 'add':
+        return { ...state, extraTime: (state.extraTime || 0) + (options.seconds === undefined ? ADD_SECONDS : options.seconds) };
+      default:
+        return state;
+    }
+  }
+
+  return {
+    MAX_SECONDS,
+    ADD_SECONDS,
+    ACTIONS,
+    create,
+    remainingMs,
+    remainingSeconds,
+    getActionError,
+    applyAction
+  };
+})();
+
+// Export für Modul-Systeme
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TimerState;
+}
+
+// Global verfügbar machen für Browser
+if (typeof window !== 'undefined') {
+  window.TimerState = TimerState;
+}